@@ -8,44 +8,401 @@
 import express from 'express';
 import cors from 'cors';
 import { chromium } from 'playwright';
-import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
-import { join, dirname, resolve } from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, appendFileSync, renameSync, realpathSync, rmSync, readdirSync, statSync } from 'fs';
+import { join, dirname, resolve, relative, isAbsolute, delimiter } from 'path';
 import { fileURLToPath } from 'url';
-import { createServer } from 'http';
+import { createServer, request as httpRequest } from 'http';
+import { request as httpsRequest } from 'https';
+import { lookup } from 'dns';
+import { BlockList, isIP } from 'net';
 import { WebSocketServer } from 'ws';
 import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { createHash, createHmac, randomBytes, randomUUID } from 'crypto';
 import multer from 'multer';
+import sharp from 'sharp';
+import convertHeic from 'heic-convert';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// ==================== 設定 ====================
+//
+// 優先順序：CLI 參數 > 環境變數 > 設定檔（config.json）> 預設值
+// 相對路徑以專案目錄為準
+
+const DEFAULT_CONFIG = {
+  port: 3001,
+  remoteDebuggingPort: 9222,
+  userDataDir: '.browser-data', // standalone 模式的 session（cookies）存儲路徑
+  uploadDir: 'uploads',
+  dataDir: 'data',
+  browserMode: 'auto', // auto | connect | spawn | standalone
+  chromePath: null, // null = 自動尋找系統 Chrome，找不到時使用 Playwright 內建的 Chromium
+  chromeUserDataDir: '/tmp/chrome-mj-debug', // spawn 模式的 Chrome 使用者資料夾
+  headless: 'auto', // true | false | auto（Linux 沒有顯示器時使用 headless）
+  slowMo: 50,
+  userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36', // null = 瀏覽器預設
+  driver: 'playwright', // playwright | simulated
+  selectorProfile: 'selectors/midjourney.v1.json',
+  tracing: false, // 每次生成錄製 Playwright trace（截圖、DOM snapshot、網路）
+  traceRetention: 20, // 保留最近幾個 trace
+  jobTimeoutSeconds: 600, // 任務送出後的完成時限，超過標記為 timed_out，0 = 不限制（可用 timeoutSeconds 逐次覆蓋）
+  uploadTtlHours: 168, // 上傳保留時間（從最後使用起算），0 = 不過期
+  uploadQuotaMb: 2048, // UPLOAD_DIR 容量上限，0 = 不限制
+  allowUploadPaths: false, // 生成路由是否接受 UPLOAD_DIR 內的檔案路徑（預設只接受 upload ID）
+  apiKeys: [], // [{ name, key, scopes, rateLimit, maxConcurrentJobs, maxQueuedItems }]，空陣列 = 不驗證
+  corsOrigins: ['*'], // 允許的跨域來源
+};
+
+// 設定名稱 -> 環境變數
+const CONFIG_ENV = {
+  port: 'PORT',
+  remoteDebuggingPort: 'REMOTE_DEBUGGING_PORT',
+  userDataDir: 'USER_DATA_DIR',
+  uploadDir: 'UPLOAD_DIR',
+  dataDir: 'DATA_DIR',
+  browserMode: 'BROWSER_MODE',
+  chromePath: 'CHROME_PATH',
+  chromeUserDataDir: 'CHROME_USER_DATA_DIR',
+  headless: 'HEADLESS',
+  slowMo: 'SLOW_MO',
+  userAgent: 'USER_AGENT',
+  driver: 'GENERATOR_DRIVER',
+  selectorProfile: 'SELECTOR_PROFILE',
+  tracing: 'TRACING',
+  traceRetention: 'TRACE_RETENTION',
+  jobTimeoutSeconds: 'JOB_TIMEOUT_SECONDS',
+  uploadTtlHours: 'UPLOAD_TTL_HOURS',
+  uploadQuotaMb: 'UPLOAD_QUOTA_MB',
+  allowUploadPaths: 'ALLOW_UPLOAD_PATHS',
+  apiKeys: 'API_KEYS', // JSON 陣列
+  corsOrigins: 'CORS_ORIGINS', // 逗號分隔
+};
+
+const CONFIG_PATHS = ['userDataDir', 'uploadDir', 'dataDir', 'chromePath', 'chromeUserDataDir', 'selectorProfile'];
+
+/**
+ * 解析 CLI 參數：--port 3001、--port=3001、--headless、--no-headless
+ */
+function parseCliFlags(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--(no-)?([a-z-]+)(?:=(.*))?$/);
+    if (!match) continue;
+    
+    const [, negated, name, inlineValue] = match;
+    const key = name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (negated) {
+      flags[key] = 'false';
+    } else if (inlineValue !== undefined) {
+      flags[key] = inlineValue;
+    } else if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+      flags[key] = argv[++i];
+    } else {
+      flags[key] = 'true';
+    }
+  }
+  return flags;
+}
+
+/**
+ * 依預設值的型別轉換字串設定
+ */
+function coerceConfigValue(key, value) {
+  if (typeof value !== 'string') return value;
+  
+  if (Array.isArray(DEFAULT_CONFIG[key])) {
+    if (value.trim().startsWith('[')) {
+      return JSON.parse(value);
+    }
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  if (typeof DEFAULT_CONFIG[key] === 'boolean') {
+    if (!['true', 'false'].includes(value)) {
+      throw new Error(`設定 ${key} 必須是 true / false: ${value}`);
+    }
+    return value === 'true';
+  }
+  if (typeof DEFAULT_CONFIG[key] === 'number') {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new Error(`設定 ${key} 必須是非負整數: ${value}`);
+    }
+    return number;
+  }
+  if (key === 'headless') {
+    if (!['true', 'false', 'auto'].includes(value)) {
+      throw new Error(`設定 headless 必須是 true / false / auto: ${value}`);
+    }
+    return value === 'auto' ? value : value === 'true';
+  }
+  if (value === '' || value === 'null') {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * 載入設定
+ */
+function loadConfig(argv = process.argv.slice(2), env = process.env) {
+  const flags = parseCliFlags(argv);
+  const configFile = resolve(__dirname, flags.config || env.CONFIG_FILE || 'config.json');
+  
+  let fileConfig = {};
+  if (existsSync(configFile)) {
+    fileConfig = JSON.parse(readFileSync(configFile, 'utf-8'));
+  } else if (flags.config || env.CONFIG_FILE) {
+    throw new Error(`找不到設定檔: ${configFile}`);
+  }
+  
+  const config = { ...DEFAULT_CONFIG };
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    const value = flags[key] ?? env[CONFIG_ENV[key]] ?? fileConfig[key];
+    if (value !== undefined) {
+      config[key] = coerceConfigValue(key, value);
+    }
+  }
+  
+  const unknown = [...Object.keys(fileConfig), ...Object.keys(flags)]
+    .filter(key => key !== 'config' && !(key in DEFAULT_CONFIG));
+  if (unknown.length > 0) {
+    throw new Error(`未知的設定: ${[...new Set(unknown)].join(', ')}`);
+  }
+  if (!['auto', 'connect', 'spawn', 'standalone'].includes(config.browserMode)) {
+    throw new Error(`設定 browserMode 必須是 auto / connect / spawn / standalone: ${config.browserMode}`);
+  }
+  
+  for (const key of CONFIG_PATHS) {
+    if (config[key]) config[key] = resolve(__dirname, config[key]);
+  }
+  if (config.headless === 'auto') {
+    // 伺服器上沒有顯示器時只能用 headless
+    config.headless = process.platform === 'linux' && !env.DISPLAY && !env.WAYLAND_DISPLAY;
+  }
+  
+  return config;
+}
+
+const config = loadConfig();
+
+/**
+ * 尋找 Chrome / Chromium 執行檔
+ * @param {boolean} preferBundled - 優先使用 Playwright 內建的 Chromium（standalone 模式）
+ * @returns {string|null} 找不到時回傳 null
+ */
+function findChromeExecutable(preferBundled = false) {
+  if (config.chromePath) {
+    if (!existsSync(config.chromePath)) {
+      throw new Error(`找不到設定的 Chrome: ${config.chromePath}`);
+    }
+    return config.chromePath;
+  }
+  
+  const bundled = (() => {
+    try {
+      const path = chromium.executablePath();
+      return existsSync(path) ? path : null;
+    } catch (e) {
+      return null;
+    }
+  })();
+  if (preferBundled && bundled) return bundled;
+  
+  const candidates = {
+    darwin: [
+      '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+      '/Applications/Chromium.app/Contents/MacOS/Chromium',
+    ],
+    linux: ['google-chrome-stable', 'google-chrome', 'chromium', 'chromium-browser']
+      .flatMap(name => (process.env.PATH || '').split(delimiter).filter(Boolean).map(dir => join(dir, name)))
+      .concat(['/snap/bin/chromium', '/opt/google/chrome/chrome']),
+    win32: [
+      join(process.env.PROGRAMFILES || 'C:\\Program Files', 'Google', 'Chrome', 'Application', 'chrome.exe'),
+      join(process.env['PROGRAMFILES(X86)'] || 'C:\\Program Files (x86)', 'Google', 'Chrome', 'Application', 'chrome.exe'),
+    ],
+  }[process.platform] || [];
+  
+  return candidates.find(path => existsSync(path)) || bundled;
+}
+
 const app = express();
-const PORT = 3001;
+const PORT = config.port;
 
 // Session 存儲路徑（登入後會自動保存 cookies）
-const USER_DATA_DIR = join(__dirname, '.browser-data');
-const REMOTE_DEBUGGING_PORT = 9222;
-const UPLOAD_DIR = join(__dirname, 'uploads');
+const USER_DATA_DIR = config.userDataDir;
+const REMOTE_DEBUGGING_PORT = config.remoteDebuggingPort;
+const UPLOAD_DIR = config.uploadDir;
+const DATA_DIR = config.dataDir;
+
+// 生成佇列設定
+const QUEUE_FILE = join(DATA_DIR, 'queue.json');
+const QUEUE_ITEM_GAP_MS = 3000; // 兩個項目之間的間隔
+const QUEUE_RETRY_MS = 5000; // 瀏覽器未就緒時的重試間隔
+const QUEUE_HISTORY_LIMIT = 50; // 保留的已結束項目數量
+const QUEUE_MAX_BATCH = 20; // 一次請求最多加入的圖片數
+
+// 任務存儲設定（JSON-lines，每次變更追加一行）
+const JOBS_FILE = join(DATA_DIR, 'jobs.jsonl');
+const JOBS_COMPACT_MIN_LINES = 500; // 超過此行數才考慮壓縮
+const JOBS_COMPACT_RATIO = 5; // 行數超過任務數的倍數時壓縮
+const JOB_TIMEOUT_MAX_SECONDS = 6 * 60 * 60; // 單次請求 timeoutSeconds 的上限
+const JOB_WATCHDOG_INTERVAL_MS = 5000; // 檢查任務是否逾時的間隔
+const JOB_FINISHED_STATUSES = ['complete', 'failed', 'timed_out', 'cancelled'];
+
+// 上傳記錄（upload ID -> 檔案與圖片資訊）
+const UPLOADS_FILE = join(DATA_DIR, 'uploads.json');
+const UPLOAD_CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // 每小時清理過期上傳
+
+// 圖片前處理設定（/upload 的 maxEdge、aspectRatio、fit、format、background 參數）
+const UPLOAD_PROCESSING_DEFAULTS = {
+  maxEdge: null, // 最長邊上限（px），null = 不縮放
+  aspectRatio: null, // 例如 '16:9'，null = 保持原比例
+  fit: 'pad', // pad（補邊）| crop（置中裁切）
+  format: 'auto', // auto | png | jpeg，auto = Midjourney 支援的格式保持不變，其他轉成 PNG / JPEG
+  background: '#000000', // 補邊與去除透明時的顏色
+};
+const UPLOAD_MAX_BYTES = 50 * 1024 * 1024; // 50MB，multipart、URL 與 data URI 共用
+const UPLOAD_JSON_LIMIT = '70mb'; // 50MB 圖片的 base64
+const REMOTE_FETCH_TIMEOUT_MS = 30000;
+const REMOTE_FETCH_MAX_REDIRECTS = 5;
+const MIDJOURNEY_CDN_HOST = 'cdn.midjourney.com';
+
+// 伺服器代為下載的網址不能指向內部網路（loopback、私有、link-local、CGNAT、保留與多播位址）
+const PRIVATE_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  // IPv4 對應位址（::ffff:a.b.c.d）由 BlockList 套用上面的 IPv4 規則
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+const IMAGE_MIN_EDGE = 64;
+const IMAGE_MAX_EDGE = 8192;
+const IMAGE_MAX_PIXELS = 100 * 1000 * 1000;
+const IMAGE_JPEG_QUALITY = 92;
+const MIDJOURNEY_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/heic': 'heic',
+  'image/avif': 'avif',
+  'image/tiff': 'tiff',
+};
+
+// 影片設定預設值（對應 Midjourney 的影片設定面板）
+const VIDEO_DEFAULTS = {
+  loop: false,
+  motion: 'low', // low | high
+  promptMode: 'auto', // auto | manual
+  prompt: '', // manual 模式的動態描述
+  batchSize: 4, // 1 | 2 | 4，Midjourney 預設一次產生 4 部
+  raw: false,
+  duration: 5,
+};
+
+// 瀏覽器自動恢復設定（斷線、崩潰或頁面被關閉時）
+const BROWSER_RECOVERY_MAX_ATTEMPTS = 5;
+const BROWSER_RECOVERY_BASE_MS = 2000; // 重試間隔 2s, 4s, 8s, 16s, 30s
+const BROWSER_RECOVERY_MAX_MS = 30000;
 
-// 確保上傳目錄存在
-if (!existsSync(UPLOAD_DIR)) {
-  mkdirSync(UPLOAD_DIR, { recursive: true });
+// 上傳與提交流程的重試設定（每次重試前重新導航到 /imagine）
+const AUTOMATION_MAX_ATTEMPTS = 3;
+const AUTOMATION_RETRY_BASE_MS = 2000; // 重試間隔 2s, 4s
+
+// 自動化失敗代碼 -> 失敗的步驟、訊息與是否可重試（找不到元素是介面改版，重試也不會成功）
+const AUTOMATION_ERRORS = {
+  NAVIGATION_FAILED: { step: 'navigate', message: '無法開啟 /imagine', retryable: true },
+  ADD_IMAGES_NOT_FOUND: { step: 'add-images', message: '找不到 Add Images 按鈕', retryable: false },
+  END_FRAME_NOT_FOUND: { step: 'add-images', message: '找不到 Ending Frame 欄位', retryable: false },
+  UPLOAD_METHOD_NOT_FOUND: { step: 'file-chooser', message: '無法找到上傳方式', retryable: false },
+  UPLOAD_NOT_CONFIRMED: { step: 'upload-confirm', message: '圖片上傳後沒有出現在畫面欄位', retryable: true },
+  PROMPT_INPUT_NOT_FOUND: { step: 'submit', message: '找不到 prompt 輸入框', retryable: false },
+  JOB_NOT_CREATED: { step: 'submit', message: '提交後沒有建立任務', retryable: false },
+  STEP_FAILED: { step: null, message: '自動化步驟失敗', retryable: false }, // 其他錯誤，步驟取自目前進度
+};
+// STEP_FAILED 中可重試的瀏覽器錯誤：逾時、頁面關閉、網路中斷與導航中斷
+const TRANSIENT_BROWSER_ERROR = /timeout|target (page, context or browser )?(has been )?closed|net::ERR_|navigation|execution context was destroyed/i;
+
+// 生成驅動：playwright（真實帳號）或 simulated（離線模擬，staging / demo 用）
+const GENERATOR_DRIVER = config.driver;
+const SIMULATED_TICK_MS = 1500; // 模擬任務每次推進進度的間隔
+const SIMULATED_PROGRESS_STEP = 20;
+
+// 選擇器設定檔（Midjourney 改版時只需更新或切換設定檔）
+const SELECTOR_PROFILE = config.selectorProfile;
+
+// Webhook 設定
+const WEBHOOK_LOG_DIR = join(DATA_DIR, 'webhooks'); // 每個任務一個投遞記錄檔
+const WEBHOOK_SECRET_FILE = join(DATA_DIR, 'webhook-secret');
+const WEBHOOK_MAX_ATTEMPTS = 5;
+const WEBHOOK_RETRY_BASE_MS = 2000; // 重試間隔 2s, 4s, 8s, 16s
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_PROGRESS_MILESTONES = [25, 50, 75];
+
+// 素材存檔設定（完成的影片與縮圖下載到本地）
+const ASSETS_DIR = join(DATA_DIR, 'assets');
+const ARCHIVE_DELAY_MS = 10000; // 完成後等待 CDN 準備好，第 n 次重試等待 n 倍
+const ARCHIVE_MAX_ATTEMPTS = 3;
+
+// 失敗現場記錄設定（任務失敗或逾時時保存頁面狀態）
+const ARTIFACTS_DIR = join(DATA_DIR, 'artifacts');
+const ARTIFACT_FILES = { screenshot: 'screenshot.png', dom: 'dom.html', bundle: 'bundle.json' };
+const ARTIFACT_HISTORY_LIMIT = 50; // 保留最近幾個任務的記錄
+const CONSOLE_BUFFER_SIZE = 200; // 保留最近幾則頁面 console 訊息
+
+// Debug 截圖
+const DEBUG_DIR = join(DATA_DIR, 'debug');
+
+// Playwright trace（每個任務一個 zip）
+const TRACES_DIR = join(DATA_DIR, 'traces');
+
+// API 驗證設定
+const API_KEY_SCOPES = ['read', 'generate', 'admin'];
+const API_KEY_MIN_LENGTH = 16;
+const API_KEY_DEFAULTS = {
+  rateLimit: { windowMs: 60 * 1000, max: 120 }, // 每個時間窗最多幾個請求
+  maxConcurrentJobs: 2, // 同時進行中的生成任務上限
+  maxQueuedItems: 20, // 佇列中等待或處理中的項目上限
+};
+const PUBLIC_PATHS = ['/health', '/health/live', '/health/ready'];
+const ADMIN_PATH_PREFIXES = ['/browser/', '/debug/', '/selectors/', '/artifacts/']; // 瀏覽器控制、除錯與失敗現場
+const MEDIA_PATH_PREFIXES = ['/uploads/', '/assets/', '/simulated/media/']; // 允許 ?token=（<img> / <video> 無法帶標頭）
+
+// 確保上傳與資料目錄存在
+for (const dir of [UPLOAD_DIR, DATA_DIR, WEBHOOK_LOG_DIR, ASSETS_DIR, ARTIFACTS_DIR, DEBUG_DIR, TRACES_DIR]) {
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
 }
 
 // Multer 設定
 const storage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, UPLOAD_DIR),
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = file.originalname.split('.').pop();
-    cb(null, `image-${uniqueSuffix}.${ext}`);
-  }
+  // 副檔名等驗證檔頭後再決定，不信任客戶端
+  filename: (req, file, cb) => cb(null, newUploadFileName())
 });
+
+function newUploadFileName() {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return `image-${uniqueSuffix}`;
+}
 const upload = multer({ 
   storage,
-  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB
+  limits: { fileSize: UPLOAD_MAX_BYTES },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
+    // 實際格式由 processUpload 檢查檔頭，HEIC 常以 octet-stream 送出
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/octet-stream') {
       cb(null, true);
     } else {
       cb(new Error('只接受圖片檔案'));
@@ -53,1146 +410,5525 @@ const upload = multer({
   }
 });
 
+// ==================== API 驗證 ====================
+//
+// REST 使用 X-API-Key（或 Authorization: Bearer）標頭，WebSocket 使用 ?token= 或握手時的 X-API-Key 標頭。
+// 沒有設定任何 key 時不驗證，只適合本機開發。
+
+/**
+ * 驗證設定中的 API key
+ * @returns {Map<string, object>} key 的 SHA-256 -> { name, scopes, rateLimit, maxConcurrentJobs, maxQueuedItems, window, submitting }
+ */
+function loadApiKeys(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error('設定 apiKeys 必須是陣列');
+  }
+  
+  const keys = new Map();
+  const names = new Set();
+  for (const entry of entries) {
+    const {
+      name,
+      key,
+      scopes,
+      rateLimit = {},
+      maxConcurrentJobs = API_KEY_DEFAULTS.maxConcurrentJobs,
+      maxQueuedItems = API_KEY_DEFAULTS.maxQueuedItems
+    } = entry || {};
+    
+    if (typeof name !== 'string' || !name || names.has(name)) {
+      throw new Error(`API key 名稱缺少或重複: ${name}`);
+    }
+    if (typeof key !== 'string' || key.length < API_KEY_MIN_LENGTH) {
+      throw new Error(`API key ${name} 至少需要 ${API_KEY_MIN_LENGTH} 個字元`);
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+      throw new Error(`API key ${name} 的 scopes 必須是 ${API_KEY_SCOPES.join(' / ')} 的陣列`);
+    }
+    
+    const limit = { ...API_KEY_DEFAULTS.rateLimit, ...rateLimit };
+    if (![limit.windowMs, limit.max, maxConcurrentJobs, maxQueuedItems].every(n => Number.isInteger(n) && n > 0)) {
+      throw new Error(`API key ${name} 的 rateLimit / maxConcurrentJobs / maxQueuedItems 必須是正整數`);
+    }
+    
+    names.add(name);
+    keys.set(hashApiKey(key), {
+      name,
+      scopes: new Set(scopes),
+      rateLimit: limit,
+      maxConcurrentJobs,
+      maxQueuedItems,
+      window: { start: 0, count: 0 },
+      submitting: 0, // 正在送出生成任務的請求數
+    });
+  }
+  return keys;
+}
+
+function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+const apiKeys = loadApiKeys(config.apiKeys);
+const authEnabled = apiKeys.size > 0;
+
+/**
+ * 依 token 找出 API key
+ */
+function findApiKey(token) {
+  return typeof token === 'string' && token ? apiKeys.get(hashApiKey(token)) || null : null;
+}
+
+/**
+ * 從 REST 請求取出 token
+ */
+function getRequestToken(req) {
+  const header = req.get('x-api-key');
+  if (header) return header;
+  
+  const authorization = req.get('authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  
+  if (MEDIA_PATH_PREFIXES.some(prefix => req.path.startsWith(prefix))) {
+    return req.query.token;
+  }
+  return null;
+}
+
+/**
+ * 請求需要的權限（null = 公開）
+ */
+function requiredScope(req) {
+  // Express 路由不分大小寫、忽略結尾斜線，比對前先正規化
+  const path = req.path.toLowerCase().replace(/(.)\/+$/, '$1');
+  if (PUBLIC_PATHS.includes(path)) return null;
+  if (ADMIN_PATH_PREFIXES.some(prefix => path.startsWith(prefix))) return 'admin';
+  // 失敗現場是已登入頁面的截圖與 DOM，trace 另含 session cookies 與授權標頭，與 /debug/* 相同只給 admin
+  if (/^\/job\/[^/]+\/(artifacts|trace)$/.test(path)) return 'admin';
+  // 上傳管理：列表與刪除需要 admin，/uploads/<檔名> 的圖片仍是 read
+  if (path === '/uploads' || (req.method === 'DELETE' && path.startsWith('/uploads/'))) return 'admin';
+  return req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'generate';
+}
+
+/**
+ * 固定時間窗的速率限制，計入一次請求
+ * @returns {{ allowed: boolean, remaining: number, resetMs: number }}
+ */
+function consumeRateLimit(apiKey) {
+  const now = Date.now();
+  const { windowMs, max } = apiKey.rateLimit;
+  if (now - apiKey.window.start >= windowMs) {
+    apiKey.window = { start: now, count: 0 };
+  }
+  
+  apiKey.window.count++;
+  return {
+    allowed: apiKey.window.count <= max,
+    remaining: Math.max(max - apiKey.window.count, 0),
+    resetMs: apiKey.window.start + windowMs - now,
+  };
+}
+
+/**
+ * REST 驗證：檢查 key、權限與速率限制
+ */
+function authenticate(req, res, next) {
+  const scope = requiredScope(req);
+  if (!authEnabled || !scope) return next();
+  
+  const apiKey = findApiKey(getRequestToken(req));
+  if (!apiKey) {
+    return res.status(401).json({ success: false, error: '缺少或無效的 API key' });
+  }
+  if (!apiKey.scopes.has(scope)) {
+    return res.status(403).json({ success: false, error: `API key 沒有 ${scope} 權限` });
+  }
+  
+  const { allowed, remaining, resetMs } = consumeRateLimit(apiKey);
+  const resetSeconds = Math.ceil(resetMs / 1000);
+  res.set({
+    'X-RateLimit-Limit': String(apiKey.rateLimit.max),
+    'X-RateLimit-Remaining': String(remaining),
+    'X-RateLimit-Reset': String(resetSeconds),
+  });
+  if (!allowed) {
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({ success: false, error: '請求過於頻繁，請稍後再試' });
+  }
+  
+  req.apiKey = apiKey;
+  next();
+}
+
+/**
+ * 生成任務的並行上限：進行中的任務 + 正在送出的請求
+ * 送出後任務會出現在 currentJobs，所以回應結束（或 releaseJobSlot）時就釋放名額
+ */
+function reserveJobSlot(req, res, next) {
+  const apiKey = req.apiKey;
+  if (!apiKey) return next();
+  
+  const active = [...currentJobs.values()]
+    .filter(job => job.apiKey === apiKey.name && !isJobFinished(job))
+    .length;
+  if (active + apiKey.submitting >= apiKey.maxConcurrentJobs) {
+    return res.status(429).json({
+      success: false,
+      error: `已達同時進行任務上限 (${apiKey.maxConcurrentJobs})`,
+      activeJobs: active
+    });
+  }
+  
+  apiKey.submitting++;
+  req.jobSlot = true;
+  res.on('close', () => releaseJobSlot(req));
+  next();
+}
+
+/**
+ * 釋放送出中的名額（等待結果的路由在任務送出後呼叫）
+ */
+function releaseJobSlot(req) {
+  if (!req.jobSlot) return;
+  req.jobSlot = false;
+  req.apiKey.submitting--;
+}
+
+/**
+ * 解析單次請求的任務時限 timeoutSeconds（未指定時使用全域 jobTimeoutSeconds）
+ */
+function parseJobTimeout(req, res, next) {
+  const value = req.body?.timeoutSeconds;
+  if (value === undefined || value === null || value === '') return next();
+  
+  const seconds = Number(value);
+  if (!Number.isInteger(seconds) || seconds < 1 || seconds > JOB_TIMEOUT_MAX_SECONDS) {
+    return res.status(400).json({
+      success: false,
+      error: `timeoutSeconds 必須是 1-${JOB_TIMEOUT_MAX_SECONDS} 的整數`,
+      code: 'INVALID_TIMEOUT'
+    });
+  }
+  req.jobTimeoutSeconds = seconds;
+  next();
+}
+
+/**
+ * 寫入任務記錄的請求欄位：擁有者與任務時限
+ */
+function jobMeta(req) {
+  return {
+    ...(req.apiKey ? { apiKey: req.apiKey.name } : {}),
+    ...(req.jobTimeoutSeconds ? { timeoutSeconds: req.jobTimeoutSeconds } : {}),
+  };
+}
+
+/**
+ * apiKey 是否可以存取屬於 owner（API key 名稱）的任務、上傳或事件
+ * 未啟用驗證、沒有記錄擁有者或 admin 時不限制
+ */
+function canAccessOwned(apiKey, owner) {
+  return !apiKey || !owner || owner === apiKey.name || apiKey.scopes.has('admin');
+}
+
+/**
+ * 任務所屬的 API key 名稱（臨時 ID 會先對應到真實 ID）
+ */
+function jobOwner(jobId) {
+  return jobId ? jobStore.get(resolveJobAlias(jobId))?.apiKey || null : null;
+}
+
+/**
+ * /job/:jobId 路由只能存取自己的任務；不存在的任務交給路由回應
+ */
+function requireJobAccess(req, res, next) {
+  if (!canAccessOwned(req.apiKey, jobOwner(req.params.jobId))) {
+    return res.status(403).json({ success: false, error: '只能存取自己的任務' });
+  }
+  next();
+}
+
+/**
+ * 來源是否在允許的 CORS 清單內（同源一律允許）
+ */
+function isAllowedOrigin(origin, host) {
+  if (!origin || config.corsOrigins.includes('*')) return true;
+  return config.corsOrigins.includes(origin) || origin === `http://${host}` || origin === `https://${host}`;
+}
+
+/**
+ * 從 WebSocket 握手取出 token
+ */
+function getSocketToken(req) {
+  return new URL(req.url, 'http://localhost').searchParams.get('token') || req.headers['x-api-key'];
+}
+
+/**
+ * WebSocket 握手驗證：需要 read 權限
+ */
+function authenticateSocket(req) {
+  if (!isAllowedOrigin(req.headers.origin, req.headers.host)) return false;
+  if (!authEnabled) return true;
+  
+  const apiKey = findApiKey(getSocketToken(req));
+  return Boolean(apiKey?.scopes.has('read') && consumeRateLimit(apiKey).allowed);
+}
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({ origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins }));
 app.use(express.static(join(__dirname, 'public')));
-app.use('/uploads', express.static(UPLOAD_DIR));
+app.use(authenticate);
+app.use('/upload', express.json({ limit: UPLOAD_JSON_LIMIT })); // { dataUri } 需要較大的 body
+app.use(express.json());
+app.use('/uploads', express.static(UPLOAD_DIR, { redirect: false })); // GET /uploads 是上傳列表
+app.use('/assets', express.static(ASSETS_DIR));
 
 // HTTP Server for WebSocket
 const server = createServer(app);
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({ server, verifyClient: ({ req }) => authenticateSocket(req) });
 
 // WebSocket clients
 const wsClients = new Set();
 
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
   console.log('🔌 WebSocket 客戶端已連線');
+  ws.apiKey = authEnabled ? findApiKey(getSocketToken(req)) : null; // 佇列只顯示自己的項目
   wsClients.add(ws);
   
   // 發送當前狀態
   ws.send(JSON.stringify({
     type: 'status',
     server: true,
-    browser: !!page,
-    login: isLoggedIn
+    browser: driver.isConnected(),
+    login: driver.isReady(),
+    admin: !ws.apiKey || ws.apiKey.scopes.has('admin') // 控制面板只對 admin 顯示現場記錄
   }));
   
+  // 發送目前的生成佇列
+  ws.send(JSON.stringify({ type: 'queue_update', queue: getQueueSnapshot(ws.apiKey) }));
+  
   ws.on('close', () => {
     wsClients.delete(ws);
     console.log('🔌 WebSocket 客戶端已斷線');
   });
 });
 
-// 廣播訊息給所有 WebSocket 客戶端
-function broadcast(data) {
+// 伺服器內部事件（WebSocket 廣播的事件也會在這裡發出，供佇列等模組訂閱）
+const serverEvents = new EventEmitter();
+
+// 廣播訊息給 WebSocket 客戶端：任務事件只送給任務所屬的 key（與 admin）
+function broadcast(data, owner = jobOwner(data.jobId)) {
   const message = JSON.stringify(data);
   wsClients.forEach(client => {
-    if (client.readyState === 1) { // WebSocket.OPEN
+    if (client.readyState === 1 && canAccessOwned(client.apiKey, owner)) { // WebSocket.OPEN
       client.send(message);
     }
   });
+  serverEvents.emit(data.type, data);
 }
 
-// 發送日誌到前端
-function wsLog(level, message) {
-  broadcast({ type: 'log', level, message });
+// 發送日誌到前端（owner 為相關任務或上傳所屬的 key，未指定時所有人可見）
+function wsLog(level, message, owner = null) {
+  broadcast({ type: 'log', level, message }, owner);
 }
 
 // 全域變數
 let browser = null;
 let page = null;
 let isLoggedIn = false;
-let currentJobs = new Map(); // 追蹤進行中的任務
+let currentJobs = new Map(); // 追蹤進行中的任務（完整記錄見 jobStore）
 let connectionMode = 'standalone'; // 'standalone' 或 'connect'
 let progressMonitorInterval = null; // 進度監控 interval
 
-// ==================== 進度監控 ====================
+// ==================== 任務存儲 ====================
+
+const jobStore = new Map(); // 所有任務（包含已完成的歷史任務），與 currentJobs 共用同一個物件
+const jobAliases = new Map(); // 臨時 ID -> 真實 job ID
+let jobLogLines = 0;
 
 /**
- * 開始監控所有任務的進度
+ * 從 JSON-lines 檔案載入任務，同一個 ID 以最後一筆為準
  */
-function startProgressMonitor() {
-  if (progressMonitorInterval) return; // 已經在監控
-  
-  console.log('📊 開始進度監控...');
-  let lastProgress = 0;
-  let stableCount = 0; // 進度穩定的次數
-  let highProgressCount = 0; // 高進度計數
+function loadJobStore() {
+  if (!existsSync(JOBS_FILE)) return;
   
-  progressMonitorInterval = setInterval(async () => {
-    if (!page || currentJobs.size === 0) {
-      return;
-    }
-    
+  const lines = readFileSync(JOBS_FILE, 'utf-8').split('\n').filter(Boolean);
+  for (const line of lines) {
     try {
-      // 從頁面抓取進度資訊 - 專門針對 Midjourney 的 UI
-      const progressData = await page.evaluate(() => {
-        const results = [];
-        const debugInfo = [];
-        
-        // ========== 檢查 "Complete" 文字 ==========
-        const pageText = document.body.innerText || '';
-        if (pageText.includes('Complete') && !pageText.includes('Dreaming') && !pageText.includes('Imagining')) {
-          results.push({ type: 'complete-text', progress: 100, priority: 25 });
-        }
-        
-        // ========== 檢查是否有完成的影片（新生成的）==========
-        const videos = document.querySelectorAll('video');
-        let hasPlayableVideo = false;
-        videos.forEach(v => {
-          // 檢查影片是否可播放
-          if (v.src && (v.src.includes('.mp4') || v.src.includes('cdn.midjourney.com/video'))) {
-            hasPlayableVideo = true;
-          }
-        });
-        
-        // 檢查新的影片縮圖
-        const newThumbs = document.querySelectorAll('img[src*="cdn.midjourney.com/video"]');
-        if (newThumbs.length > 0) {
-          results.push({ type: 'video-thumb', progress: 100, priority: 22 });
-        }
-        
-        // 如果有可播放的影片，可能已完成
-        if (hasPlayableVideo) {
-          results.push({ type: 'video-ready', progress: 100, priority: 20 });
-        }
-        
-        // ========== 方法1: 直接找頁面上所有包含百分比的文字 ==========
-        const allElements = document.querySelectorAll('*');
-        for (const el of allElements) {
-          // 只檢查葉子節點的文字
-          if (el.children.length === 0 || el.tagName === 'SPAN' || el.tagName === 'DIV') {
-            const text = el.textContent?.trim() || '';
-            // 匹配 "XX%" 格式，但排除太長的文字
-            if (text.length < 50) {
-              const match = text.match(/(\d{1,3})%/);
-              if (match && !text.includes('zoom') && !text.includes('scale')) {
-                const num = parseInt(match[1]);
-                if (num > 0 && num <= 100) {
-                  results.push({ type: 'text-node', progress: num, priority: 12, text: text.slice(0, 30) });
-                }
-              }
-            }
-          }
-        }
-        
-        // ========== 方法2: 找 "Dreaming" 或 "Imagining" 狀態文字 ==========
-        const dreamingMatch = pageText.match(/(?:Dreaming|Imagining|Rendering|Processing)[^\d]*(\d{1,3})%/i);
-        if (dreamingMatch) {
-          results.push({ type: 'dreaming', progress: parseInt(dreamingMatch[1]), priority: 15 });
-        }
-        
-        // ========== 方法3: 找進度條 ==========
-        const progressBars = document.querySelectorAll('[class*="progress"], [class*="Progress"], [role="progressbar"]');
-        progressBars.forEach(bar => {
-          const style = window.getComputedStyle(bar);
-          const width = style.width;
-          const parentWidth = bar.parentElement ? window.getComputedStyle(bar.parentElement).width : null;
-          
-          if (width && parentWidth) {
-            const barW = parseFloat(width);
-            const parentW = parseFloat(parentWidth);
-            if (parentW > 0) {
-              const percent = Math.round((barW / parentW) * 100);
-              if (percent > 0 && percent <= 100) {
-                results.push({ type: 'bar-calc', progress: percent, priority: 8 });
-              }
-            }
-          }
-        });
-        
-        // ========== 方法4: 檢查是否沒有進行中的任務（可能已完成）==========
-        const hasProcessingText = pageText.includes('Dreaming') || pageText.includes('Imagining') || 
-                                  pageText.includes('Processing') || pageText.includes('Rendering');
-        if (!hasProcessingText && (videos.length > 0 || newThumbs.length > 0)) {
-          // 沒有處理中的文字，但有影片 = 可能完成
-          results.push({ type: 'no-processing', progress: 100, priority: 18 });
-        }
-        
-        return { results, debug: debugInfo };
-      });
-      
-      // 找出最可靠的進度值（優先級最高的）
-      let bestProgress = -1;
-      let bestPriority = -1;
-      let bestSource = null;
-      
-      for (const data of progressData.results) {
-        if (data.progress >= 0 && data.progress <= 100) {
-          if (data.priority > bestPriority) {
-            bestPriority = data.priority;
-            bestProgress = data.progress;
-            bestSource = data.type;
-          }
-        }
-      }
-      
-      // 如果偵測到 100%，立即完成
-      if (bestProgress === 100 && bestPriority >= 18) {
-        console.log(`📊 偵測到完成信號: ${bestSource}`);
-        bestProgress = 100;
-      }
-      
-      // 檢查進度是否停滯（連續相同的高進度值）
-      if (bestProgress >= 85 && bestProgress === lastProgress) {
-        stableCount++;
-        highProgressCount++;
-        console.log(`📊 高進度穩定: ${bestProgress}% (連續 ${stableCount} 次)`);
-        
-        // 如果進度 >= 85% 且連續穩定 5 次（10秒），認為完成
-        if (stableCount >= 5) {
-          bestProgress = 100;
-          bestSource = 'stable-timeout';
-          console.log('📊 進度穩定超過 10 秒，視為完成');
-        }
-      } else if (bestProgress >= 90) {
-        // 高進度但還在變化
-        highProgressCount++;
-        stableCount = 0;
-        
-        // 如果長時間維持在高進度（超過 15 次 = 30秒），視為完成
-        if (highProgressCount >= 15) {
-          bestProgress = 100;
-          bestSource = 'high-progress-timeout';
-          console.log('📊 長時間高進度，視為完成');
-        }
-      } else {
-        stableCount = 0;
-        if (bestProgress < 85) highProgressCount = 0;
-      }
-      lastProgress = bestProgress;
-      
-      // 如果找到進度，更新並廣播
-      if (bestProgress >= 0) {
-        console.log(`📊 偵測到進度: ${bestProgress}% (來源: ${bestSource})`);
-        
-        for (const [jobId, job] of currentJobs) {
-          if (job.status !== 'complete') {
-            const oldProgress = job.progress || 0;
-            
-            // 更新進度
-            if (bestProgress !== oldProgress || bestProgress === 100) {
-              job.progress = bestProgress;
-              job.status = bestProgress === 100 ? 'complete' : 'processing';
-              
-              // 廣播進度更新
-              broadcast({
-                type: 'progress',
-                jobId,
-                progress: bestProgress,
-                status: job.status,
-                source: bestSource
-              });
-              
-              if (bestProgress < 100) {
-                wsLog('info', `進度: ${bestProgress}%`);
-              }
-              
-              if (bestProgress === 100 && job.status === 'complete') {
-                wsLog('success', '影片生成完成！');
-                broadcast({
-                  type: 'video_complete',
-                  jobId,
-                  message: '影片生成完成！'
-                });
-                // 自動抓取影片
-                setTimeout(() => fetchAndBroadcastVideos(), 3000);
-                // 停止監控這個任務
-                currentJobs.delete(jobId);
-              }
-            }
-          }
-        }
-      }
+      const job = JSON.parse(line);
+      jobStore.set(job.id, job);
     } catch (e) {
-      console.log('⚠️ 進度監控錯誤:', e.message);
+      // 忽略寫入中斷造成的損壞行
     }
-  }, 2000); // 每 2 秒檢查一次
-}
-
-/**
- * 自動抓取並廣播影片
- */
-async function fetchAndBroadcastVideos() {
-  if (!page) return;
+  }
+  jobLogLines = lines.length;
   
-  try {
-    wsLog('info', '自動抓取生成的影片...');
-    
-    const videos = await page.evaluate(() => {
-      const results = [];
-      
-      // 找所有 video 元素
-      document.querySelectorAll('video').forEach(video => {
-        const src = video.src || video.querySelector('source')?.src;
-        if (src && (src.includes('.mp4') || src.includes('video'))) {
-          results.push({ url: src, type: 'video' });
-        }
-      });
-      
-      // 找頁面中的 mp4 連結
-      const html = document.body.innerHTML;
-      const mp4Matches = html.match(/https?:\/\/[^"'\s<>]+\.mp4[^"'\s<>]*/g);
-      if (mp4Matches) {
-        mp4Matches.forEach(url => {
-          const cleanUrl = url.replace(/[\\'"]/g, '');
-          if (!results.some(r => r.url === cleanUrl)) {
-            results.push({ url: cleanUrl, type: 'regex' });
-          }
-        });
-      }
-      
-      return results;
-    });
-    
-    const uniqueVideos = [...new Map(videos.map(v => [v.url, v])).values()].slice(0, 4);
-    
-    if (uniqueVideos.length > 0) {
-      wsLog('success', `找到 ${uniqueVideos.length} 部影片`);
-      broadcast({
-        type: 'videos_found',
-        videos: uniqueVideos
-      });
+  // 已升級為真實 ID 的臨時任務只保留別名
+  for (const job of [...jobStore.values()]) {
+    for (const alias of job.aliases || []) {
+      jobAliases.set(alias, job.id);
+      jobStore.delete(alias);
+    }
+  }
+  compactJobLog();
+  
+  // 恢復追蹤重啟前仍在進行中的任務
+  for (const job of jobStore.values()) {
+    if (job.status === 'submitted' || job.status === 'processing') {
+      currentJobs.set(job.id, job);
     }
-  } catch (e) {
-    console.log('抓取影片錯誤:', e.message);
   }
+  
+  console.log(`🗂️ 已載入 ${jobStore.size} 筆任務記錄（進行中 ${currentJobs.size} 筆）`);
 }
 
 /**
- * 停止進度監控
+ * 追加一筆任務快照到檔案
  */
-function stopProgressMonitor() {
-  if (progressMonitorInterval) {
-    clearInterval(progressMonitorInterval);
-    progressMonitorInterval = null;
+function appendJobLog(job) {
+  try {
+    appendFileSync(JOBS_FILE, JSON.stringify(job) + '\n');
+    jobLogLines++;
+    compactJobLog();
+  } catch (e) {
+    console.log('⚠️ 無法寫入任務記錄:', e.message);
   }
 }
 
-// ==================== 瀏覽器管理 ====================
-
 /**
- * 連接到用戶自己開啟的 Chrome 瀏覽器
+ * 記錄行數過多時，重寫為每個任務一行
  */
-async function connectToUserBrowser() {
-  console.log('🔌 嘗試連接到你的 Chrome 瀏覽器...');
-  console.log(`📍 連接端口: ${REMOTE_DEBUGGING_PORT}`);
-  
-  try {
-    browser = await chromium.connectOverCDP(`http://127.0.0.1:${REMOTE_DEBUGGING_PORT}`);
-    const contexts = browser.contexts();
-    
-    if (contexts.length > 0) {
-      const context = contexts[0];
-      const pages = context.pages();
-      page = pages.find(p => p.url().includes('midjourney.com')) || pages[0];
-      
-      if (!page) {
-        page = await context.newPage();
-      }
-    } else {
-      throw new Error('沒有找到瀏覽器 context');
-    }
-    
-    connectionMode = 'connect';
-    console.log('✅ 已連接到你的 Chrome 瀏覽器！');
-    console.log(`📄 當前頁面: ${page.url()}`);
-    
-    // 自動檢查登入狀態
-    const url = page.url();
-    isLoggedIn = url.includes('midjourney.com') && !url.includes('/auth/');
-    console.log(`🔐 登入狀態: ${isLoggedIn ? '已登入' : '未登入'}`);
-    
-    return true;
-  } catch (error) {
-    console.log('❌ 無法連接，請確認 Chrome 已用以下指令開啟:');
-    console.log(`\n/Applications/Google\\ Chrome.app/Contents/MacOS/Google\\ Chrome --remote-debugging-port=${REMOTE_DEBUGGING_PORT}\n`);
-    throw error;
+function compactJobLog() {
+  if (jobLogLines < JOBS_COMPACT_MIN_LINES || jobLogLines < jobStore.size * JOBS_COMPACT_RATIO) {
+    return;
   }
+  
+  const content = [...jobStore.values()].map(job => JSON.stringify(job)).join('\n') + '\n';
+  writeFileSync(JOBS_FILE + '.tmp', content);
+  renameSync(JOBS_FILE + '.tmp', JOBS_FILE);
+  jobLogLines = jobStore.size;
 }
 
 /**
- * 啟動獨立的 Playwright 瀏覽器
+ * 開始追蹤新任務並寫入存儲
+ * @param {string} jobId - Midjourney job ID（或臨時 ID）
+ * @param {object} fields - 額外欄位 { source, localPath, imageUrl, options }
  */
-async function launchStandaloneBrowser() {
-  // 如果瀏覽器已開啟但 page 無效，重新創建 page
-  if (browser) {
-    try {
-      // 測試 page 是否還有效
-      await page.title();
-      console.log('瀏覽器已經開啟');
-      return;
-    } catch (e) {
-      // page 已失效，重新創建
-      console.log('🔄 重新創建頁面...');
-      page = await browser.newPage();
-      return;
+function trackJob(jobId, fields = {}) {
+  // 網路層可能已先記錄了這個任務，合併欄位即可
+  const existing = jobStore.get(jobId);
+  if (existing) {
+    if (!isJobFinished(existing)) {
+      currentJobs.set(jobId, existing);
     }
+    return updateJob(jobId, {
+      ...fields,
+      ...jobTimeoutFields(fields.timeoutSeconds ?? existing.timeoutSeconds, existing.createdAt),
+    });
   }
+  
+  const now = new Date().toISOString();
+  const job = {
+    id: jobId,
+    status: 'submitted',
+    progress: 0,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+    failedAt: null,
+    error: null,
+    videos: [],
+    ...fields,
+    ...jobTimeoutFields(fields.timeoutSeconds, now),
+  };
+  
+  currentJobs.set(jobId, job);
+  jobStore.set(jobId, job);
+  appendJobLog(job);
+  return job;
+}
 
-  // 確保資料目錄存在
-  if (!existsSync(USER_DATA_DIR)) {
-    mkdirSync(USER_DATA_DIR, { recursive: true });
-  }
+/**
+ * 更新任務並寫入存儲
+ */
+function updateJob(jobId, patch) {
+  const job = jobStore.get(jobId) || currentJobs.get(jobId);
+  if (!job) return null;
+  
+  Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+  appendJobLog(job);
+  return job;
+}
 
-  console.log('🚀 啟動瀏覽器...');
-  console.log(`📁 Session 存儲於: ${USER_DATA_DIR}`);
+/**
+ * 將臨時 ID 解析為真實 job ID（沒有別名則原樣返回）
+ */
+function resolveJobAlias(jobId) {
+  return jobAliases.get(jobId) || jobId;
+}
+
+/**
+ * 把臨時任務升級為真實 job ID，保留別名讓持有臨時 ID 的客戶端繼續使用
+ */
+function promoteJobId(tempId, realId) {
+  const tempJob = jobStore.get(tempId);
+  if (!tempJob || tempId === realId) return null;
   
-  // 使用 persistent context 保存 cookies 和 localStorage
-  const context = await chromium.launchPersistentContext(USER_DATA_DIR, {
-    headless: false, // 顯示瀏覽器 UI
-    slowMo: 50,
-    viewport: { width: 1280, height: 800 },
-    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  // 網路層可能已用真實 ID 建立了空白記錄，以臨時任務的欄位為主合併
+  const existing = jobStore.get(realId) || {};
+  const job = Object.assign(tempJob, {
+    ...existing,
+    ...tempJob,
+    id: realId,
+    videos: tempJob.videos.length > 0 ? tempJob.videos : (existing.videos || []),
+    aliases: [...(existing.aliases || []), ...(tempJob.aliases || []), tempId],
   });
+  if (existing.status && existing.status !== 'submitted') {
+    job.status = existing.status;
+    job.progress = Math.max(existing.progress || 0, tempJob.progress || 0);
+  }
+  
+  jobStore.delete(tempId);
+  jobStore.set(realId, job);
+  jobAliases.set(tempId, realId);
+  
+  const wasTracked = currentJobs.delete(tempId) || currentJobs.delete(realId);
+  if (wasTracked && !isJobFinished(job)) {
+    currentJobs.set(realId, job);
+  }
+  
+  updateJob(realId, {});
+  console.log(`🔗 臨時任務 ${tempId} 對應到 ${realId}`);
+  broadcast({ type: 'job_id_resolved', tempId, jobId: realId });
+  return job;
+}
 
-  browser = context; // persistent context 本身就是 browser + context
-  page = context.pages()[0] || await context.newPage();
+/**
+ * 標記任務完成並停止追蹤
+ */
+function completeJob(jobId) {
+  currentJobs.delete(jobId);
+  const job = jobStore.get(jobId);
+  const results = job?.kind === 'image'
+    ? { images: driver.imageUrls(jobId, job.imageCount) }
+    : { videos: driver.videoUrls(jobId) };
   
-  // 監聽頁面關閉事件
-  page.on('close', () => {
-    console.log('⚠️ 頁面被關閉');
+  return updateJob(jobId, {
+    status: 'complete',
+    progress: 100,
+    completedAt: new Date().toISOString(),
+    ...results,
   });
-  
-  // 監聽網絡請求（用於捕捉 API 響應）
-  page.on('response', async (response) => {
-    const url = response.url();
-    if (url.includes('/api/imagine-update') || url.includes('/api/imagine?')) {
-      try {
-        const data = await response.json();
-        handleImagineUpdate(data);
-      } catch (e) {
-        // 忽略非 JSON 響應
-      }
-    }
+}
+
+/**
+ * 標記任務失敗、停止追蹤並廣播
+ * @param {object} [failure] - 自動化失敗的細節 { code, step, attempts }
+ */
+function failJob(jobId, error, failure = null) {
+  currentJobs.delete(jobId);
+  const job = updateJob(jobId, {
+    status: 'failed',
+    error,
+    failure,
+    failedAt: new Date().toISOString(),
   });
+  broadcast({ type: 'job_failed', jobId, error, failure });
+  return job;
+}
 
-  console.log('✅ 瀏覽器已啟動（登入狀態會自動保存）');
+/**
+ * 標記任務逾時、停止追蹤並廣播（Midjourney 上的任務不受影響，之後的結果不再採用）
+ */
+function timeoutJob(jobId) {
+  currentJobs.delete(jobId);
+  const timeoutSeconds = jobStore.get(jobId)?.timeoutSeconds;
+  const error = `超過時限 ${timeoutSeconds} 秒仍未完成`;
+  const job = updateJob(jobId, {
+    status: 'timed_out',
+    error,
+    timedOutAt: new Date().toISOString(),
+  });
+  broadcast({ type: 'job_timed_out', jobId, error, timeoutSeconds });
+  return job;
 }
 
 /**
- * 主要的啟動函數 - 優先連接用戶瀏覽器，失敗則啟動獨立瀏覽器
+ * 標記任務已取消、停止追蹤並廣播
+ * @param {boolean} uiCancelled - 是否已在 Midjourney 介面上取消
  */
-async function launchBrowser(mode = 'auto') {
-  if (mode === 'connect' || mode === 'auto') {
-    try {
-      await connectToUserBrowser();
-      return;
-    } catch (e) {
-      if (mode === 'connect') {
-        throw e;
-      }
-      console.log('⚠️ 無法連接用戶瀏覽器，啟動獨立瀏覽器...');
-    }
-  }
-  
-  await launchStandaloneBrowser();
+function cancelJob(jobId, uiCancelled = false) {
+  currentJobs.delete(jobId);
+  const job = updateJob(jobId, {
+    status: 'cancelled',
+    uiCancelled,
+    cancelledAt: new Date().toISOString(),
+  });
+  broadcast({ type: 'job_cancelled', jobId, uiCancelled });
+  return job;
 }
 
 /**
- * 處理 imagine-update 響應
+ * 任務是否已結束（完成、失敗、逾時或取消）
  */
-function handleImagineUpdate(data) {
-  if (data?.jobs) {
-    for (const job of data.jobs) {
-      if (currentJobs.has(job.id)) {
-        currentJobs.set(job.id, {
-          ...currentJobs.get(job.id),
-          status: job.status,
-          progress: job.progress,
-          result: job,
-        });
-      }
-    }
-  }
+function isJobFinished(job) {
+  return JOB_FINISHED_STATUSES.includes(job.status);
 }
 
 /**
- * 導航到 Midjourney
+ * 任務的時限欄位，timeoutSeconds 未指定時使用全域 jobTimeoutSeconds（0 = 不限制）
+ * @param {string} createdAt - 時限的起算時間
  */
-async function navigateToMidjourney() {
-  if (!page) {
-    throw new Error('瀏覽器未啟動');
-  }
+function jobTimeoutFields(timeoutSeconds = config.jobTimeoutSeconds, createdAt = new Date().toISOString()) {
+  return {
+    timeoutSeconds,
+    timeoutAt: timeoutSeconds > 0 ? new Date(Date.parse(createdAt) + timeoutSeconds * 1000).toISOString() : null,
+  };
+}
 
-  await page.goto('https://www.midjourney.com/imagine', { 
-    timeout: 60000,
-    waitUntil: 'domcontentloaded' 
-  });
-  
-  // 等待頁面穩定
-  await page.waitForTimeout(3000);
-  
-  // 檢查是否已登入
-  const url = page.url();
-  isLoggedIn = !url.includes('/auth/');
-  
-  return isLoggedIn;
+/**
+ * 定期把超過時限的任務標記為逾時（不依賴頁面，模擬模式與重啟後恢復的任務也適用）
+ */
+function startJobWatchdog() {
+  setInterval(() => {
+    const now = Date.now();
+    for (const [jobId, job] of [...currentJobs]) {
+      if (!job.timeoutAt || Date.parse(job.timeoutAt) > now) continue;
+      
+      console.log(`⏰ 任務 ${jobId} 超過時限，標記為逾時`);
+      wsLog('warning', `任務逾時 (${jobId.slice(0, 8)})`, jobOwner(jobId));
+      timeoutJob(jobId);
+    }
+  }, JOB_WATCHDOG_INTERVAL_MS);
 }
 
 /**
- * 檢查登入狀態
+ * 依 Midjourney CDN 格式組出影片 URL，數量依任務的 batchSize（臨時 ID 無法推算）
  */
-async function checkLoginStatus() {
-  if (!page) return false;
+function buildVideoUrls(jobId) {
+  if (jobId.startsWith('temp-')) return [];
   
-  const url = page.url();
-  isLoggedIn = url.includes('midjourney.com') && !url.includes('/auth/');
-  return isLoggedIn;
+  const batchSize = jobStore.get(jobId)?.settings?.batchSize || VIDEO_DEFAULTS.batchSize;
+  return Array.from({ length: batchSize }, (_, index) => ({
+    index,
+    url: `https://cdn.midjourney.com/video/${jobId}/${index}.mp4`,
+    thumbnail: `https://cdn.midjourney.com/video/${jobId}/${index}_640_N.webp?frame=last`,
+  }));
 }
 
-// ==================== Midjourney 操作 ====================
+/**
+ * 依 Midjourney CDN 格式組出圖片 URL（一般為四格，upscale 只有一張）
+ */
+function buildImageUrls(jobId, count = 4) {
+  if (jobId.startsWith('temp-')) return [];
+  
+  return Array.from({ length: count }, (_, index) => ({
+    index,
+    url: `https://cdn.midjourney.com/${jobId}/0_${index}.png`,
+  }));
+}
 
 /**
- * 從圖片生成影片
- * @param {string} imageUrl - 圖片 URL 或 job ID
- * @param {object} options - 選項 { duration, motion }
+ * 等待任務結束事件
+ * @param {number} [timeoutMs] - 等待上限，未指定時等到任務結束（任務本身的時限由 watchdog 處理）
+ * @returns {Promise<'complete'|'failed'|'timed_out'|'cancelled'|'timeout'>}
  */
-async function generateVideoFromImage(imageUrl, options = {}) {
-  if (!page || !isLoggedIn) {
-    throw new Error('請先登入 Midjourney');
+function waitForJobOutcome(jobId, timeoutMs = null) {
+  const events = {
+    video_complete: 'complete',
+    image_complete: 'complete',
+    job_failed: 'failed',
+    job_timed_out: 'timed_out',
+    job_cancelled: 'cancelled',
+  };
+  
+  // 等待開始前任務可能已經結束
+  const job = jobStore.get(resolveJobAlias(jobId));
+  if (job && isJobFinished(job)) {
+    return Promise.resolve(job.status);
   }
+  
+  return new Promise((resolve) => {
+    const listeners = Object.entries(events).map(([event, outcome]) => [event, (data) => {
+      // 臨時 ID 可能已升級為真實 ID
+      if (resolveJobAlias(data.jobId) !== resolveJobAlias(jobId)) return;
+      finish(outcome);
+    }]);
+    const finish = (outcome) => {
+      clearTimeout(timer);
+      listeners.forEach(([event, listener]) => serverEvents.off(event, listener));
+      resolve(outcome);
+    };
+    const timer = timeoutMs ? setTimeout(() => finish('timeout'), timeoutMs) : null;
+    
+    listeners.forEach(([event, listener]) => serverEvents.on(event, listener));
+  });
+}
 
-  const { duration = 5, motion = 'auto' } = options;
-
-  // 方法 1: 如果是 Midjourney 圖片，使用 Animate 按鈕
-  if (imageUrl.includes('cdn.midjourney.com') || imageUrl.startsWith('job:')) {
-    return await animateExistingImage(imageUrl);
-  }
+/**
+ * 查詢任務記錄
+ * @param {object} filter - { status, since, until, limit, offset, apiKey }，指定 apiKey 時只列出它可以存取的任務
+ */
+function listJobs(filter = {}) {
+  const { status, since, until, limit = 50, offset = 0, apiKey = null } = filter;
+  const statuses = status ? status.split(',') : null;
+  
+  const jobs = [...jobStore.values()]
+    .filter(job => canAccessOwned(apiKey, job.apiKey))
+    .filter(job => !statuses || statuses.includes(job.status))
+    .filter(job => !since || job.createdAt >= since)
+    .filter(job => !until || job.createdAt <= until)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  
+  return {
+    total: jobs.length,
+    jobs: jobs.slice(offset, offset + limit).map(describeJob),
+  };
+}
 
-  // 方法 2: 上傳外部圖片
-  return await uploadAndAnimate(imageUrl, options);
+/**
+ * API 回應中的任務記錄：不回傳伺服器上的檔案路徑（與上傳記錄相同，以 uploadId 表示圖片）
+ */
+function describeJob(job) {
+  const { localPath, endFramePath, ...info } = job;
+  return info;
 }
 
 /**
- * 上傳本地圖片並生成影片
- * @param {string} localPath - 本地圖片路徑
- * @param {object} options - 選項 { duration, loop }
+ * 取得影片延長鏈：從最初的影片一路到最後一次延長
+ * 每一段的 clipIndex 是下一段延長時選用的影片編號（最後一段為 null）
  */
-async function uploadLocalImageAndAnimate(localPath, options = {}) {
-  if (!page || !isLoggedIn) {
-    throw new Error('請先登入 Midjourney');
+function getJobLineage(requestedId) {
+  const job = jobStore.get(resolveJobAlias(requestedId));
+  if (!job) return null;
+  
+  const isExtensionOf = (child, parentId) =>
+    child.source === 'extend' && resolveJobAlias(child.parentJob) === parentId;
+  
+  // 往上找到最初的影片
+  const chain = [job];
+  const seen = new Set([job.id]);
+  let current = job;
+  while (current.source === 'extend' && current.parentJob) {
+    const parent = jobStore.get(resolveJobAlias(current.parentJob));
+    if (!parent || seen.has(parent.id)) break;
+    chain.unshift(parent);
+    seen.add(parent.id);
+    current = parent;
   }
-
-  const absolutePath = resolve(localPath);
-  if (!existsSync(absolutePath)) {
-    throw new Error(`找不到檔案: ${absolutePath}`);
+  
+  // 往下沿著唯一的延長走，有分支時停下並列出
+  let branches = [];
+  current = job;
+  while (true) {
+    const children = [...jobStore.values()]
+      .filter(child => isExtensionOf(child, current.id) && !seen.has(child.id))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    if (children.length !== 1) {
+      branches = children.map(child => ({ jobId: child.id, parentIndex: child.parentIndex, status: child.status }));
+      break;
+    }
+    current = children[0];
+    chain.push(current);
+    seen.add(current.id);
   }
+  
+  const clips = chain.map((entry, position) => {
+    const next = chain[position + 1];
+    const clipIndex = next ? (next.parentIndex ?? 0) : null;
+    const archived = (entry.assets || []).find(asset => asset.kind === 'video' && asset.index === clipIndex);
+    const video = (entry.videos || []).find(v => v.index === clipIndex);
+    return {
+      jobId: entry.id,
+      status: entry.status,
+      source: entry.source,
+      parentJob: entry.parentJob || null,
+      parentIndex: entry.parentIndex ?? null,
+      clipIndex,
+      clipUrl: archived?.url || video?.url || null,
+      videos: entry.videos || [],
+    };
+  });
+  
+  return { rootJobId: chain[0].id, chain: clips, branches };
+}
 
-  const { loop = true } = options;
-  console.log(`📤 上傳圖片: ${absolutePath}`);
-  console.log(`🔄 Loop: ${loop}`);
+// ==================== 網路層任務追蹤 ====================
 
-  // 確保在 imagine 頁面
-  const currentUrl = page.url();
-  if (!currentUrl.includes('/imagine')) {
-    console.log('🌐 導航到 /imagine...');
-    await page.goto('https://www.midjourney.com/imagine', { waitUntil: 'domcontentloaded' });
-    await page.waitForTimeout(2000);
-  }
+// Midjourney 的任務提交與更新 API（任務 ID、狀態、進度、結果 URL 的主要來源）
+const NETWORK_SUBMIT_PATTERNS = ['/api/submit-jobs', '/api/app/submit-jobs'];
+const NETWORK_UPDATE_PATTERNS = ['/api/imagine-update', '/api/app/imagine-update', '/api/imagine?'];
+const NETWORK_FRESH_MS = 15000; // 網路資料在這段時間內有效，DOM 監控不覆蓋
+const JOB_ID_PATTERN = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/;
 
-  // === 步驟 1: 點擊 "Add Images" 按鈕 ===
-  console.log('1️⃣ 點擊 Add Images 按鈕...');
-  const addImagesClicked = await page.evaluate(() => {
-    // 找包含 "Add Images" 或 "Add First Frame" 文字的按鈕
-    const buttons = document.querySelectorAll('button');
-    for (const btn of buttons) {
-      const text = btn.textContent?.toLowerCase() || '';
-      if (text.includes('add images') || text.includes('add first frame') || text.includes('add')) {
-        btn.click();
-        return { success: true, text: btn.textContent };
-      }
-    }
-    // 也嘗試找有圖片圖標的按鈕
-    const imgButtons = document.querySelectorAll('button svg, button img');
-    for (const icon of imgButtons) {
-      const btn = icon.closest('button');
-      if (btn) {
-        btn.click();
-        return { success: true, text: 'icon button' };
-      }
+const capturedPages = new WeakSet();
+const submitWaiters = []; // 等待提交響應的 waiter { resolve, timedOut, tempJobId, lateIds }
+const submitRequestOwners = new WeakMap(); // 提交請求 -> 送出當下正在等待的 waiter
+let timedOutWaiter = null; // 最近一個超時、尚未建立臨時任務的 waiter
+
+/**
+ * 在頁面上掛載網路監聽（獨立瀏覽器與 CDP 連接模式都需要呼叫）
+ */
+function attachNetworkCapture(targetPage) {
+  if (!targetPage || capturedPages.has(targetPage)) return;
+  capturedPages.add(targetPage);
+  
+  // 提交請求送出時記下是哪個 waiter 觸發的，響應只交給它（不依到達順序分配）
+  targetPage.on('request', (request) => {
+    if (submitWaiters.length > 0 && NETWORK_SUBMIT_PATTERNS.some(p => request.url().includes(p))) {
+      submitRequestOwners.set(request, submitWaiters[0]);
     }
-    return { success: false };
   });
-  console.log(`   結果: ${JSON.stringify(addImagesClicked)}`);
-  await page.waitForTimeout(1000);
-
-  // === 步驟 2: 點擊 "Upload a file or drop it here" 觸發 file chooser ===
-  console.log('2️⃣ 點擊上傳按鈕，等待 file chooser...');
   
-  // 設置 file chooser 監聽，然後點擊上傳按鈕
-  const [fileChooser] = await Promise.all([
-    page.waitForEvent('filechooser', { timeout: 10000 }).catch(() => null),
-    page.evaluate(() => {
-      // 找 "Upload a file" 或 "drop it here" 的元素
-      const elements = document.querySelectorAll('*');
-      for (const el of elements) {
-        const text = el.textContent?.toLowerCase() || '';
-        if ((text.includes('upload a file') || text.includes('drop it here')) && 
-            el.offsetParent !== null && 
-            el.tagName !== 'BODY' && 
-            el.tagName !== 'HTML') {
-          // 找到最近的可點擊祖先
-          const clickable = el.closest('button, [role="button"], .cursor-pointer') || el;
-          clickable.click();
-          return { clicked: true, text: el.textContent?.slice(0, 50) };
-        }
-      }
-      // 備用：找 input[type="file"]
-      const fileInput = document.querySelector('input[type="file"]');
-      if (fileInput) {
-        fileInput.click();
-        return { clicked: true, text: 'file input' };
-      }
-      return { clicked: false };
-    })
-  ]);
-
-  // === 步驟 3: 上傳圖片 ===
-  if (fileChooser) {
-    console.log('3️⃣ 上傳檔案...');
-    await fileChooser.setFiles(absolutePath);
-    console.log('   ✅ 檔案已選擇');
-  } else {
-    // 如果 file chooser 沒觸發，嘗試直接用 input
-    console.log('   ⚠️ file chooser 未觸發，嘗試直接設置 input...');
-    const fileInput = await page.$('input[type="file"]');
-    if (fileInput) {
-      await fileInput.setInputFiles(absolutePath);
-      console.log('   ✅ 通過 input 上傳');
-    } else {
-      throw new Error('無法找到上傳方式');
-    }
-  }
-
-  // === 步驟 4: 等待圖片上傳完成（出現在 Starting Frame） ===
-  console.log('4️⃣ 等待圖片上傳完成...');
-  await page.waitForTimeout(3000);
-
-  // 確認圖片已上傳（檢查是否有 Starting Frame 或縮圖）
-  const uploadConfirmed = await page.evaluate(() => {
-    // 檢查是否有圖片縮圖
-    const thumbnails = document.querySelectorAll('img[src*="blob:"], img[src*="midjourney"], img[src*="data:"]');
-    for (const img of thumbnails) {
-      if (img.offsetParent !== null && img.width > 30) {
-        return { hasImage: true, src: img.src?.slice(0, 50) };
-      }
+  // 監聽 API 響應
+  targetPage.on('response', async (response) => {
+    const url = response.url();
+    const isSubmit = NETWORK_SUBMIT_PATTERNS.some(p => url.includes(p));
+    const isUpdate = NETWORK_UPDATE_PATTERNS.some(p => url.includes(p));
+    if (!isSubmit && !isUpdate) return;
+    
+    try {
+      const data = await response.json();
+      handleNetworkPayload(data, isSubmit ? 'submit' : 'update', submitRequestOwners.get(response.request()));
+    } catch (e) {
+      // 忽略非 JSON 響應
     }
-    // 檢查是否有 Video/Starting Frame 相關 UI
-    const videoUI = document.body.textContent?.includes('Starting Frame') || 
-                    document.body.textContent?.includes('Ending Frame');
-    return { hasImage: false, videoUI };
   });
-  console.log(`   上傳確認: ${JSON.stringify(uploadConfirmed)}`);
-
-  // === 步驟 5: 如果需要 Loop，勾選 Loop checkbox ===
-  if (loop) {
-    console.log('5️⃣ 勾選 Loop...');
-    const loopClicked = await page.evaluate(() => {
-      // 找 Loop checkbox 或相關元素
-      const labels = document.querySelectorAll('label, span, div');
-      for (const el of labels) {
-        if (el.textContent?.trim().toLowerCase() === 'loop' && el.offsetParent !== null) {
-          // 點擊 label 或其中的 checkbox
-          const checkbox = el.querySelector('input[type="checkbox"]') || 
-                          el.closest('label')?.querySelector('input[type="checkbox"]');
-          if (checkbox && !checkbox.checked) {
-            checkbox.click();
-            return { clicked: true, wasChecked: false };
-          } else if (checkbox?.checked) {
-            return { clicked: false, wasChecked: true };
-          }
-          // 直接點擊元素
-          el.click();
-          return { clicked: true, element: 'label' };
-        }
+  
+  // Midjourney 透過 WebSocket 推送任務進度
+  targetPage.on('websocket', (socket) => {
+    if (!socket.url().includes('midjourney')) return;
+    
+    socket.on('framereceived', ({ payload }) => {
+      if (typeof payload !== 'string' || !payload.includes('-')) return;
+      try {
+        handleNetworkPayload(JSON.parse(payload), 'update');
+      } catch (e) {
+        // 忽略非 JSON 訊框
       }
-      return { clicked: false, notFound: true };
     });
-    console.log(`   Loop: ${JSON.stringify(loopClicked)}`);
-    await page.waitForTimeout(500);
-  }
-
-  // === 步驟 6: 按 Enter 提交生成！（不要按 Escape！）===
-  console.log('6️⃣ 按 Enter 提交生成...');
-  await page.keyboard.press('Enter');
-  console.log('   ✅ 已按 Enter');
+  });
+}
 
-  // 等待任務開始
-  await page.waitForTimeout(3000);
+/**
+ * 從任意 JSON 結構中找出任務物件
+ */
+function extractNetworkJobs(payload, depth = 0, found = []) {
+  if (!payload || typeof payload !== 'object' || depth > 4) return found;
   
-  // 獲取最新的 job ID
-  const jobId = await getLatestJobId();
+  if (Array.isArray(payload)) {
+    payload.forEach(item => extractNetworkJobs(item, depth + 1, found));
+    return found;
+  }
   
-  if (jobId) {
-    currentJobs.set(jobId, {
-      id: jobId,
-      status: 'starting',
-      progress: 0,
-      createdAt: new Date(),
-      localPath: absolutePath,
-    });
-    
-    // 啟動進度監控
-    startProgressMonitor();
-    
-    // 廣播任務開始
-    broadcast({
-      type: 'job_started',
-      jobId,
-      message: '影片生成任務已開始'
-    });
-    
-    return { success: true, jobId, message: '影片生成任務已開始' };
+  const id = payload.job_id || payload.jobId || payload.id;
+  if (typeof id === 'string' && JOB_ID_PATTERN.test(id)) {
+    found.push(normalizeNetworkJob(id, payload));
+    return found;
   }
+  
+  Object.values(payload).forEach(value => extractNetworkJobs(value, depth + 1, found));
+  return found;
+}
 
-  // 即使沒有 jobId，也生成一個臨時 ID 來追蹤進度
-  const tempJobId = `temp-${Date.now()}`;
-  currentJobs.set(tempJobId, {
-    id: tempJobId,
-    status: 'starting',
-    progress: 0,
-    createdAt: new Date(),
-    localPath: absolutePath,
-  });
+/**
+ * 統一不同 API 的欄位名稱
+ */
+function normalizeNetworkJob(id, raw) {
+  const rawStatus = String(raw.current_status || raw.status || raw.event_type || '').toLowerCase();
+  const rawProgress = raw.percentage_complete ?? raw.progress ?? raw.percentage;
   
-  // 啟動進度監控
-  startProgressMonitor();
+  let status = null;
+  if (/complet|done|finish|success/.test(rawStatus)) status = 'complete';
+  else if (/fail|error|cancel|moderat|block/.test(rawStatus)) status = 'failed';
+  else if (/run|progress|process|start/.test(rawStatus)) status = 'processing';
+  else if (/queue|wait|pending|submit/.test(rawStatus)) status = 'submitted';
   
-  broadcast({
-    type: 'job_started',
-    jobId: tempJobId,
-    message: '任務已提交，開始追蹤進度'
-  });
+  let progress = typeof rawProgress === 'number' ? Math.round(rawProgress) : null;
+  if (status === 'complete') progress = 100;
   
-  return { 
-    success: true, 
-    jobId: tempJobId, 
-    message: '任務已提交，正在追蹤進度' 
-  };
+  return { id, status, progress, urls: collectCdnUrls(raw), raw };
 }
 
 /**
- * 等待影片完成並返回 URL
+ * 收集物件中所有 Midjourney CDN 網址
  */
-async function waitForVideoComplete(jobId, maxWaitMs = 180000) {
-  const startTime = Date.now();
+function collectCdnUrls(value, depth = 0, urls = new Set()) {
+  if (depth > 4 || value === null || value === undefined) return [...urls];
   
-  while (Date.now() - startTime < maxWaitMs) {
-    // 刷新頁面狀態
-    await page.waitForTimeout(5000);
-    
-    // 檢查影片是否完成
-    const videoResult = await getVideoUrl(jobId, 0);
-    if (videoResult.success) {
-      return {
-        success: true,
-        jobId,
-        videos: [
-          await getVideoUrl(jobId, 0),
-          await getVideoUrl(jobId, 1),
-          await getVideoUrl(jobId, 2),
-          await getVideoUrl(jobId, 3),
-        ].filter(v => v.success),
-      };
-    }
-    
-    // 從頁面獲取進度
-    const progress = await page.evaluate((id) => {
-      const jobLinks = document.querySelectorAll(`a[href*="/jobs/${id}"]`);
-      for (const link of jobLinks) {
-        const parent = link.closest('[class*="group"]');
-        const progressText = parent?.textContent;
-        if (progressText?.includes('%')) {
-          const match = progressText.match(/(\d+)%/);
-          return match ? parseInt(match[1]) : 0;
-        }
-        if (progressText?.includes('Complete')) {
-          return 100;
-        }
-      }
-      return -1;
-    }, jobId);
-    
-    if (progress >= 0) {
-      console.log(`⏳ 進度: ${progress}%`);
-      if (currentJobs.has(jobId)) {
-        currentJobs.get(jobId).progress = progress;
+  if (typeof value === 'string') {
+    if (value.startsWith('https://cdn.midjourney.com/')) urls.add(value);
+  } else if (typeof value === 'object') {
+    Object.values(value).forEach(v => collectCdnUrls(v, depth + 1, urls));
+  }
+  return [...urls];
+}
+
+/**
+ * 處理網路層捕捉到的任務資料
+ * @param {object} payload - API 或 WebSocket 的 JSON
+ * @param {'submit'|'update'} kind
+ * @param {object} [owner] - 觸發這次提交的 waiter
+ */
+function handleNetworkPayload(payload, kind, owner = null) {
+  const jobs = extractNetworkJobs(payload);
+  if (jobs.length === 0) return;
+  
+  if (kind === 'submit') {
+    // 提交的任務一律開始追蹤（包含直接在瀏覽器中操作的任務）
+    for (const job of jobs) {
+      if (!jobStore.has(job.id)) {
+        trackJob(job.id, { source: 'network' });
+        startProgressMonitor();
       }
     }
+    const ids = jobs.map(job => job.id);
+    if (owner && !owner.timedOut) {
+      owner.resolve(ids);
+    } else if (owner) {
+      // 超時後才到達的響應只對應到同一次提交建立的臨時任務；沒有觸發者（例如手動操作）則只追蹤
+      adoptLateSubmission(owner, ids);
+    }
   }
   
-  return { success: false, message: '等待超時' };
+  jobs.forEach(applyNetworkJobUpdate);
 }
 
 /**
- * 動畫化現有的 Midjourney 圖片
+ * 將網路層資料套用到追蹤中的任務
  */
-async function animateExistingImage(jobIdOrUrl) {
-  // 找到 Animate 按鈕並點擊
-  const animateButtons = await page.$$('button:has-text("Animate")');
+function applyNetworkJobUpdate(update) {
+  const job = currentJobs.get(update.id);
+  if (!job) return;
   
-  if (animateButtons.length > 0) {
-    await animateButtons[0].click();
-    
-    // 等待任務開始
-    await page.waitForTimeout(2000);
-    
-    // 獲取新創建的 job ID
-    const jobId = await getLatestJobId();
-    
-    if (jobId) {
-      currentJobs.set(jobId, {
-        id: jobId,
-        status: 'starting',
-        progress: 0,
-        createdAt: new Date(),
-      });
-      
-      return { success: true, jobId };
+  const patch = { networkUpdatedAt: new Date().toISOString(), result: update.raw };
+  const progressChanged = update.progress !== null && update.progress !== job.progress;
+  if (progressChanged) patch.progress = update.progress;
+  if (update.status === 'processing' || update.status === 'submitted') patch.status = update.status;
+  updateJob(update.id, patch);
+  
+  if (progressChanged && update.status !== 'complete') {
+    broadcast({
+      type: 'progress',
+      jobId: update.id,
+      progress: update.progress,
+      status: job.status,
+      source: 'network'
+    });
+  }
+  
+  if (update.status === 'complete') {
+    announceJobComplete(update.id);
+    const videos = update.urls.filter(url => url.includes('.mp4'));
+    if (videos.length > 0) {
+      updateJob(update.id, { videos: videos.map((url, index) => ({ index, url })) });
     }
+  } else if (update.status === 'failed') {
+    const error = `Midjourney 回報任務失敗 (${update.raw.current_status || update.raw.status || 'unknown'})`;
+    wsLog('error', error, jobOwner(update.id));
+    failJob(update.id, error);
   }
+}
 
-  throw new Error('找不到 Animate 按鈕');
+/**
+ * 等待下一次任務提交的網路響應
+ * 必須在觸發提交之前呼叫，才不會錯過響應
+ * @returns {Promise<string[]>} 提交的 job ID，超時為空陣列
+ */
+function waitForSubmittedJobIds(timeoutMs = 10000) {
+  timedOutWaiter = null;
+  return new Promise((resolve) => {
+    const waiter = { timedOut: false, tempJobId: null, lateIds: null };
+    const remove = () => {
+      const idx = submitWaiters.indexOf(waiter);
+      if (idx >= 0) submitWaiters.splice(idx, 1);
+    };
+    waiter.resolve = (ids) => {
+      clearTimeout(timer);
+      remove();
+      resolve(ids);
+    };
+    const timer = setTimeout(() => {
+      remove();
+      waiter.timedOut = true;
+      timedOutWaiter = waiter; // 接下來建立的臨時任務屬於這次提交
+      resolve([]);
+    }, timeoutMs);
+    
+    submitWaiters.push(waiter);
+  });
 }
 
+// ==================== 任務 ID 對應 ====================
+
+const CORRELATION_WINDOW_MS = 3 * 60 * 1000; // 臨時 ID 等待對應的最長時間
+const pendingCorrelations = new Map(); // 臨時 ID -> { knownIds: Set, createdAt }
+
 /**
- * 上傳圖片並動畫化
+ * 記錄提交前頁面上已存在的 job ID
  */
-async function uploadAndAnimate(imageUrl, options) {
-  // 點擊 Add First Frame 按鈕
-  const addFrameBtn = await page.$('button:has-text("Add First Frame")');
-  if (addFrameBtn) {
-    await addFrameBtn.click();
-    await page.waitForTimeout(500);
+async function snapshotJobIds() {
+  if (!page) return [];
+  
+  try {
+    return await page.evaluate((jobLinkSelector) => {
+      const ids = [];
+      document.querySelectorAll(jobLinkSelector).forEach(link => {
+        const match = link.getAttribute('href')?.match(/\/jobs\/([a-f0-9-]+)/);
+        if (match && !ids.includes(match[1])) {
+          ids.push(match[1]);
+        }
+      });
+      return ids;
+    }, selectorCss('jobs.link'));
+  } catch (e) {
+    return [];
   }
+}
 
-  // 點擊 Start 區域
-  const startArea = await page.$('text=Start >> xpath=ancestor::div[contains(@class, "cursor-pointer")]');
-  if (startArea) {
-    await startArea.click();
-    await page.waitForTimeout(500);
-  }
+/**
+ * 比對提交前後的任務列表，找出新出現的 job ID
+ * 頁面上最先出現的是最新的，取最後一個新 ID = 最早出現的那個
+ */
+async function findNewJobId(knownIds) {
+  const known = new Set(knownIds);
+  const newIds = (await snapshotJobIds()).filter(id => !known.has(id) && !jobStore.has(id));
+  return newIds.length > 0 ? newIds[newIds.length - 1] : null;
+}
 
-  // 輸入圖片 URL 到 prompt
-  const textbox = await page.$('textarea, input[placeholder*="imagine"]');
-  if (textbox) {
-    await textbox.fill(imageUrl);
+/**
+ * 找不到真實 ID 時建立臨時任務，之後由同一次提交的遲到響應或 DOM 比對升級
+ * 頁面鎖確保呼叫者就是剛才超時的那次提交
+ */
+function trackTemporaryJob(knownIds, fields) {
+  const tempJobId = `temp-${Date.now()}`;
+  trackJob(tempJobId, fields);
+  pendingCorrelations.set(tempJobId, { knownIds: new Set(knownIds), createdAt: Date.now() });
+  
+  const waiter = timedOutWaiter;
+  timedOutWaiter = null;
+  if (waiter) {
+    waiter.tempJobId = tempJobId;
+    // 響應在建立臨時任務前就到了
+    if (waiter.lateIds) adoptLateSubmission(waiter, waiter.lateIds);
   }
+  return tempJobId;
+}
 
-  // 點擊提交按鈕
-  const submitBtn = await page.$('button[type="submit"], button:has(img[src*="arrow"])');
-  if (submitBtn) {
-    await submitBtn.click();
+/**
+ * 最舊的待對應臨時任務
+ */
+function oldestPendingCorrelation() {
+  for (const [tempId, pending] of pendingCorrelations) {
+    if (Date.now() - pending.createdAt > CORRELATION_WINDOW_MS || !jobStore.has(tempId)) {
+      pendingCorrelations.delete(tempId);
+      continue;
+    }
+    return [tempId, pending];
   }
+  return null;
+}
 
-  // 等待任務開始
-  await page.waitForTimeout(3000);
+/**
+ * 超時後才到達的提交響應，對應到同一次提交建立的臨時任務
+ * 還沒建立臨時任務時先記下，由 trackTemporaryJob 對應；DOM 已找到真實 ID 時不會建立臨時任務，響應只是多餘的
+ */
+function adoptLateSubmission(waiter, ids) {
+  if (!waiter.tempJobId) {
+    waiter.lateIds = ids;
+    return;
+  }
+  if (!pendingCorrelations.has(waiter.tempJobId)) return; // 已由 DOM 比對升級
   
-  const jobId = await getLatestJobId();
+  pendingCorrelations.delete(waiter.tempJobId);
+  promoteJobId(waiter.tempJobId, ids[0]);
+}
+
+/**
+ * 以 DOM 比對嘗試對應臨時任務（由進度監控定期呼叫）
+ */
+async function reconcileTemporaryJobs() {
+  const oldest = oldestPendingCorrelation();
+  if (!oldest) return;
   
-  if (jobId) {
-    currentJobs.set(jobId, {
-      id: jobId,
-      status: 'starting',
-      progress: 0,
-      createdAt: new Date(),
-    });
-    
-    return { success: true, jobId };
+  const [tempId, pending] = oldest;
+  const realId = await findNewJobId(pending.knownIds);
+  if (realId) {
+    pendingCorrelations.delete(tempId);
+    promoteJobId(tempId, realId);
   }
-
-  throw new Error('無法創建任務');
 }
 
+// ==================== 選擇器設定檔 ====================
+
+const selectorProfile = loadSelectorProfile();
+
 /**
- * 獲取最新的 job ID
+ * 讀取並驗證選擇器設定檔
+ * 每個動作有多個定位方式，依序嘗試：第一個是主要的，其餘是備援
  */
-async function getLatestJobId() {
-  // 從頁面 URL 或 DOM 獲取最新 job ID
-  const links = await page.$$('a[href*="/jobs/"]');
+function loadSelectorProfile() {
+  const profile = JSON.parse(readFileSync(SELECTOR_PROFILE, 'utf-8'));
   
-  for (const link of links) {
-    const href = await link.getAttribute('href');
-    const match = href.match(/\/jobs\/([a-f0-9-]+)/);
-    if (match) {
-      return match[1];
+  if (!Number.isInteger(profile.version) || !profile.selectors) {
+    throw new Error(`選擇器設定檔格式錯誤: ${SELECTOR_PROFILE}`);
+  }
+  for (const [name, entry] of Object.entries(profile.selectors)) {
+    const valid = Array.isArray(entry.locators) && entry.locators.length > 0 &&
+      entry.locators.every(locator => locator.css || locator.text);
+    if (!valid) {
+      throw new Error(`選擇器 ${name} 至少需要一個含 css 或 text 的定位方式`);
+    }
+    for (const locator of entry.locators) {
+      if (locator.text) locator.text = locator.text.toLowerCase();
+      if (locator.section) locator.section = locator.section.toLowerCase();
     }
   }
+  profile.text = profile.text || {};
   
-  return null;
+  console.log(`🧭 已載入選擇器設定檔 ${profile.name} v${profile.version}（${Object.keys(profile.selectors).length} 個動作）`);
+  return profile;
 }
 
 /**
- * 獲取任務狀態
+ * 取得指定動作的選擇器
  */
-async function getJobStatus(jobId) {
-  if (currentJobs.has(jobId)) {
-    return currentJobs.get(jobId);
+function getSelector(name) {
+  const entry = selectorProfile.selectors[name];
+  if (!entry) {
+    throw new Error(`未知的選擇器: ${name}`);
   }
+  return entry;
+}
 
-  // 從頁面獲取狀態
-  const jobInfo = await page.evaluate((id) => {
-    const links = document.querySelectorAll(`a[href*="/jobs/${id}"]`);
-    if (links.length > 0) {
-      const parent = links[0].closest('[class*="cursor-pointer"]');
-      const progress = parent?.querySelector('[class*="Complete"]');
-      return {
-        found: true,
-        progress: progress?.textContent || 'unknown',
-      };
+/**
+ * 合併動作中所有純 CSS 的定位方式，給需要一次查詢多個元素的地方使用
+ */
+function selectorCss(name) {
+  return getSelector(name).locators
+    .filter(locator => locator.css && !locator.text && !locator.section)
+    .map(locator => locator.css)
+    .join(', ');
+}
+
+/**
+ * 在頁面中依序嘗試定位方式（此函式會被序列化到瀏覽器執行，不能引用外部變數）
+ * probe 為 true 時回傳每個定位方式的命中數，否則回傳第一個命中的元素
+ * 有 section 的定位方式只在區塊標題往上 4 層內的容器中尋找，由近到遠；指定 scope 時只在該元素內尋找
+ */
+function queryLocators({ locators, probe = false, scope = null }) {
+  const counts = [];
+  const base = scope || document;
+  for (const locator of locators) {
+    const roots = locator.section ? [] : [base];
+    if (locator.section) {
+      for (const heading of base.querySelectorAll('span, div, p, h2, h3')) {
+        if (heading.offsetParent === null || heading.children.length > 0) continue;
+        if ((heading.textContent || '').trim().toLowerCase() !== locator.section) continue;
+        let container = heading.parentElement;
+        for (let depth = 0; container && depth < 4; depth++, container = container.parentElement) {
+          roots.push(container);
+        }
+      }
     }
-    return { found: false };
-  }, jobId);
+    const candidates = new Set(roots.flatMap(root => [...root.querySelectorAll(locator.css || 'body *')]));
+    
+    let count = 0;
+    for (const candidate of candidates) {
+      if (locator.visible && candidate.offsetParent === null) continue;
+      if (locator.text) {
+        const text = (candidate.textContent || '').trim().toLowerCase();
+        const matched = locator.match === 'exact' ? text === locator.text : text.includes(locator.text);
+        if (!matched) continue;
+      }
+      if (!probe) {
+        return locator.closest ? (candidate.closest(locator.closest) || candidate) : candidate;
+      }
+      count++;
+    }
+    counts.push(count);
+  }
+  return probe ? counts : null;
+}
 
-  return jobInfo;
+/**
+ * 定位動作對應的元素
+ * @param {import('playwright').ElementHandle} [scope] - 只在這個元素內尋找
+ * @returns {Promise<import('playwright').ElementHandle|null>}
+ */
+async function locate(name, scope = null) {
+  const handle = await page.evaluateHandle(queryLocators, { locators: getSelector(name).locators, scope });
+  const element = handle.asElement();
+  if (!element) {
+    await handle.dispose();
+  }
+  return element;
 }
 
 /**
- * 獲取影片 URL
+ * 動作對應的元素是否存在
  */
-async function getVideoUrl(jobId, index = 0) {
-  // Midjourney 影片 CDN 格式
-  const videoUrl = `https://cdn.midjourney.com/video/${jobId}/${index}_640_N.webp`;
+async function isPresent(name) {
+  const counts = await page.evaluate(queryLocators, { locators: getSelector(name).locators, probe: true });
+  return counts.some(count => count > 0);
+}
+
+/**
+ * 檢查設定檔中每個定位方式在目前頁面上是否能找到元素
+ */
+async function checkSelectorHealth() {
+  const selectors = [];
+  for (const [name, entry] of Object.entries(selectorProfile.selectors)) {
+    const counts = await page.evaluate(queryLocators, { locators: entry.locators, probe: true });
+    const matchedIndex = counts.findIndex(count => count > 0);
+    selectors.push({
+      name,
+      context: entry.context || null,
+      description: entry.description || null,
+      resolved: matchedIndex >= 0,
+      matchedLocator: matchedIndex >= 0 ? matchedIndex : null,
+      usingFallback: matchedIndex > 0,
+      locators: entry.locators.map((locator, i) => ({ ...locator, matches: counts[i] })),
+    });
+  }
   
-  // 驗證影片是否存在
-  try {
-    const response = await fetch(videoUrl, { method: 'HEAD' });
-    if (response.ok) {
-      return {
-        success: true,
-        videoUrl,
-        thumbnailUrl: `https://cdn.midjourney.com/video/${jobId}/${index}_640_N.webp?frame=last`,
-      };
+  return {
+    profile: { name: selectorProfile.name, version: selectorProfile.version, file: SELECTOR_PROFILE },
+    pageUrl: page.url(),
+    resolved: selectors.filter(s => s.resolved).length,
+    total: selectors.length,
+    selectors,
+  };
+}
+
+// ==================== 進度監控 ====================
+
+/**
+ * 開始監控所有任務的進度
+ * 每個任務只讀取自己的任務卡片（以 /jobs/<id> 連結定位），互不影響
+ */
+function startProgressMonitor() {
+  if (progressMonitorInterval) return; // 已經在監控
+  
+  console.log('📊 開始進度監控...');
+  const stability = new Map(); // jobId -> { lastProgress, stableCount, highProgressCount }
+  
+  progressMonitorInterval = setInterval(async () => {
+    if (!page || currentJobs.size === 0) {
+      return;
+    }
+    
+    try {
+      if (pendingCorrelations.size > 0) {
+        await reconcileTemporaryJobs();
+      }
+      
+      const jobIds = [...currentJobs.keys()];
+      const realIds = jobIds.filter(id => !id.startsWith('temp-'));
+      const tempIds = jobIds.filter(id => id.startsWith('temp-'));
+      
+      // 從頁面抓取每個任務卡片的進度資訊 - 專門針對 Midjourney 的 UI
+      const progressData = await page.evaluate(({ ids, includePage, selectors, labels }) => {
+        const busyPattern = new RegExp(labels.busyStates.join('|'));
+        const busyProgressPattern = new RegExp(`(?:${labels.busyStates.join('|')})[^\\d]*(\\d{1,3})%`, 'i');
+        
+        // 從任務連結往上找，直到遇到包含其他任務連結的容器為止 = 該任務的卡片
+        const findCard = (link, id) => {
+          let el = link;
+          while (el.parentElement && el.parentElement !== document.body) {
+            const siblings = el.parentElement.querySelectorAll(selectors.jobLink);
+            const hasOtherJob = [...siblings].some(a => !a.getAttribute('href').includes(id));
+            if (hasOtherJob) break;
+            el = el.parentElement;
+          }
+          return el;
+        };
+        
+        const readPercentages = (root, results) => {
+          // ========== 方法1: 找所有包含百分比的文字 ==========
+          for (const el of root.querySelectorAll('*')) {
+            // 只檢查葉子節點的文字
+            if (el.children.length === 0 || el.tagName === 'SPAN' || el.tagName === 'DIV') {
+              const text = el.textContent?.trim() || '';
+              // 匹配 "XX%" 格式，但排除太長的文字
+              if (text.length < 50) {
+                const match = text.match(/(\d{1,3})%/);
+                if (match && !labels.percentIgnore.some(word => text.includes(word))) {
+                  const num = parseInt(match[1]);
+                  if (num > 0 && num <= 100) {
+                    results.push({ type: 'text-node', progress: num, priority: 12, text: text.slice(0, 30) });
+                  }
+                }
+              }
+            }
+          }
+          
+          // ========== 方法2: 找 "Dreaming" 或 "Imagining" 狀態文字 ==========
+          const text = root.innerText || '';
+          const dreamingMatch = text.match(busyProgressPattern);
+          if (dreamingMatch) {
+            results.push({ type: 'dreaming', progress: parseInt(dreamingMatch[1]), priority: 15 });
+          }
+          
+          // ========== 方法3: 找進度條 ==========
+          root.querySelectorAll(selectors.progressBar).forEach(bar => {
+            const width = window.getComputedStyle(bar).width;
+            const parentWidth = bar.parentElement ? window.getComputedStyle(bar.parentElement).width : null;
+            
+            if (width && parentWidth) {
+              const parentW = parseFloat(parentWidth);
+              if (parentW > 0) {
+                const percent = Math.round((parseFloat(width) / parentW) * 100);
+                if (percent > 0 && percent <= 100) {
+                  results.push({ type: 'bar-calc', progress: percent, priority: 8 });
+                }
+              }
+            }
+          });
+        };
+        
+        const jobs = {};
+        for (const id of ids) {
+          const link = document.querySelector(`a[href*="/jobs/${id}"]`);
+          if (!link) continue;
+          
+          const card = findCard(link, id);
+          const cardText = card.innerText || '';
+          const results = [];
+          
+          // ========== 檢查卡片上的 "Complete" 文字 ==========
+          const isProcessing = busyPattern.test(cardText);
+          if (cardText.includes(labels.completeState) && !isProcessing) {
+            results.push({ type: 'complete-text', progress: 100, priority: 25 });
+          }
+          
+          // ========== 檢查此任務的影片縮圖與影片 ==========
+          const thumbs = card.querySelectorAll(`img[src*="cdn.midjourney.com/video/${id}"]`);
+          if (thumbs.length > 0) {
+            results.push({ type: 'video-thumb', progress: 100, priority: 22 });
+          }
+          const videos = [...card.querySelectorAll('video')]
+            .filter(v => v.src && v.src.includes(id) && (v.src.includes('.mp4') || v.src.includes('cdn.midjourney.com/video')));
+          if (videos.length > 0) {
+            results.push({ type: 'video-ready', progress: 100, priority: 20 });
+          }
+          
+          // ========== 圖片任務：四格圖片出現且沒有百分比 ==========
+          const gridImages = card.querySelectorAll(`img[src*="cdn.midjourney.com/${id}/0_"]`);
+          if (gridImages.length > 0 && !/\d{1,3}%/.test(cardText)) {
+            results.push({ type: 'image-grid', progress: 100, priority: 21 });
+          }
+          
+          readPercentages(card, results);
+          jobs[id] = results;
+        }
+        
+        // 沒有真實 ID 的任務只能參考整頁的百分比（不採用完成訊號，避免被舊任務誤判）
+        const pageResults = [];
+        if (includePage) {
+          readPercentages(document.body, pageResults);
+        }
+        
+        return { jobs, page: pageResults };
+      }, {
+        ids: realIds,
+        includePage: tempIds.length > 0,
+        selectors: { jobLink: selectorCss('jobs.link'), progressBar: selectorCss('progress.bar') },
+        labels: selectorProfile.text,
+      });
+      
+      const readings = new Map(realIds.map(id => [id, progressData.jobs[id] || []]));
+      // 多個臨時任務同時存在時無法分辨，不更新
+      if (tempIds.length === 1) {
+        readings.set(tempIds[0], progressData.page);
+      }
+      
+      for (const [jobId, results] of readings) {
+        const job = currentJobs.get(jobId);
+        if (!job || job.status === 'complete') continue;
+        
+        // 網路層有最新資料時，DOM 只作為備援
+        if (job.networkUpdatedAt && Date.now() - Date.parse(job.networkUpdatedAt) < NETWORK_FRESH_MS) continue;
+        
+        // 找出最可靠的進度值（優先級最高的）
+        let bestProgress = -1;
+        let bestPriority = -1;
+        let bestSource = null;
+        
+        for (const data of results) {
+          if (data.progress >= 0 && data.progress <= 100 && data.priority > bestPriority) {
+            bestPriority = data.priority;
+            bestProgress = data.progress;
+            bestSource = data.type;
+          }
+        }
+        
+        // 臨時任務讀的是整頁的百分比，可能來自其他任務卡片：只更新進度，不判定完成（等待升級為真實 ID）
+        const pageWide = jobId.startsWith('temp-');
+        if (pageWide && bestProgress === 100) {
+          bestProgress = 99;
+        }
+        
+        // 保留這次考慮過的候選值，任務失敗時寫入現場記錄
+        progressCandidates.set(jobId, { at: new Date().toISOString(), chosen: bestSource, progress: bestProgress, results });
+        
+        if (bestProgress === 100 && bestPriority >= 18) {
+          console.log(`📊 [${jobId.slice(0, 8)}] 偵測到完成信號: ${bestSource}`);
+        }
+        
+        // 檢查進度是否停滯（連續相同的高進度值）
+        const state = stability.get(jobId) || { lastProgress: 0, stableCount: 0, highProgressCount: 0 };
+        stability.set(jobId, state);
+        
+        if (pageWide) {
+          state.stableCount = 0;
+          state.highProgressCount = 0;
+        } else if (bestProgress >= 85 && bestProgress === state.lastProgress) {
+          state.stableCount++;
+          state.highProgressCount++;
+          
+          // 如果進度 >= 85% 且連續穩定 5 次（10秒），認為完成
+          if (state.stableCount >= 5) {
+            bestProgress = 100;
+            bestSource = 'stable-timeout';
+            console.log(`📊 [${jobId.slice(0, 8)}] 進度穩定超過 10 秒，視為完成`);
+          }
+        } else if (bestProgress >= 90) {
+          // 高進度但還在變化
+          state.highProgressCount++;
+          state.stableCount = 0;
+          
+          // 如果長時間維持在高進度（超過 15 次 = 30秒），視為完成
+          if (state.highProgressCount >= 15) {
+            bestProgress = 100;
+            bestSource = 'high-progress-timeout';
+            console.log(`📊 [${jobId.slice(0, 8)}] 長時間高進度，視為完成`);
+          }
+        } else {
+          state.stableCount = 0;
+          if (bestProgress < 85) state.highProgressCount = 0;
+        }
+        state.lastProgress = bestProgress;
+        
+        if (bestProgress < 0) continue;
+        
+        const oldProgress = job.progress || 0;
+        if (bestProgress === oldProgress && bestProgress !== 100) continue;
+        
+        // 更新進度
+        const status = bestProgress === 100 ? 'complete' : 'processing';
+        updateJob(jobId, { progress: bestProgress, status });
+        
+        // 廣播這個任務的進度
+        broadcast({
+          type: 'progress',
+          jobId,
+          progress: bestProgress,
+          status,
+          source: bestSource
+        });
+        
+        if (bestProgress < 100) {
+          wsLog('info', `進度: ${bestProgress}% (${jobId.slice(0, 8)})`, jobOwner(jobId));
+          continue;
+        }
+        
+        stability.delete(jobId);
+        announceJobComplete(jobId);
+      }
+    } catch (e) {
+      console.log('⚠️ 進度監控錯誤:', e.message);
+    }
+  }, 2000); // 每 2 秒檢查一次
+}
+
+/**
+ * 廣播任務完成、記錄完成並抓取影片（圖片任務直接回報四格圖片）
+ */
+function announceJobComplete(jobId) {
+  // 停止監控這個任務並記錄完成
+  const job = completeJob(jobId);
+  
+  if (job?.kind === 'image') {
+    wsLog('success', '圖片生成完成！', job.apiKey);
+    broadcast({
+      type: 'image_complete',
+      jobId,
+      images: job.images,
+      message: '圖片生成完成！'
+    });
+    return;
+  }
+  
+  wsLog('success', '影片生成完成！', jobOwner(jobId));
+  broadcast({
+    type: 'video_complete',
+    jobId,
+    message: '影片生成完成！'
+  });
+  // 自動抓取影片
+  setTimeout(() => fetchAndBroadcastVideos(jobId), 3000);
+}
+
+/**
+ * 自動抓取並廣播影片
+ * @param {string} jobId - 完成的任務，無法從 CDN 推算 URL 時以頁面抓到的影片補上
+ */
+async function fetchAndBroadcastVideos(jobId) {
+  if (!page) return;
+  
+  try {
+    wsLog('info', '自動抓取生成的影片...', jobOwner(jobId));
+    
+    const videos = await page.evaluate(() => {
+      const results = [];
+      
+      // 找所有 video 元素
+      document.querySelectorAll('video').forEach(video => {
+        const src = video.src || video.querySelector('source')?.src;
+        if (src && (src.includes('.mp4') || src.includes('video'))) {
+          results.push({ url: src, type: 'video' });
+        }
+      });
+      
+      // 找頁面中的 mp4 連結
+      const html = document.body.innerHTML;
+      const mp4Matches = html.match(/https?:\/\/[^"'\s<>]+\.mp4[^"'\s<>]*/g);
+      if (mp4Matches) {
+        mp4Matches.forEach(url => {
+          const cleanUrl = url.replace(/[\\'"]/g, '');
+          if (!results.some(r => r.url === cleanUrl)) {
+            results.push({ url: cleanUrl, type: 'regex' });
+          }
+        });
+      }
+      
+      return results;
+    });
+    
+    // 有真實 ID 時只取屬於該任務的影片
+    const jobVideos = jobId && !jobId.startsWith('temp-')
+      ? videos.filter(v => v.url.includes(jobId))
+      : videos;
+    const uniqueVideos = [...new Map(jobVideos.map(v => [v.url, v])).values()].slice(0, 4);
+    
+    if (uniqueVideos.length > 0) {
+      wsLog('success', `找到 ${uniqueVideos.length} 部影片`, jobOwner(jobId));
+      
+      const job = jobId && jobStore.get(jobId);
+      if (job && job.videos.length === 0) {
+        updateJob(jobId, { videos: uniqueVideos.map((v, index) => ({ index, url: v.url })) });
+      }
+      
+      broadcast({
+        type: 'videos_found',
+        videos: uniqueVideos,
+        jobId
+      });
+    }
+  } catch (e) {
+    console.log('抓取影片錯誤:', e.message);
+  }
+}
+
+/**
+ * 停止進度監控
+ */
+function stopProgressMonitor() {
+  if (progressMonitorInterval) {
+    clearInterval(progressMonitorInterval);
+    progressMonitorInterval = null;
+  }
+}
+
+// ==================== 瀏覽器管理 ====================
+
+/**
+ * 連接到用戶自己開啟的 Chrome 瀏覽器
+ */
+async function connectToUserBrowser() {
+  console.log('🔌 嘗試連接到你的 Chrome 瀏覽器...');
+  console.log(`📍 連接端口: ${REMOTE_DEBUGGING_PORT}`);
+  
+  try {
+    browser = await chromium.connectOverCDP(`http://127.0.0.1:${REMOTE_DEBUGGING_PORT}`);
+    const contexts = browser.contexts();
+    
+    if (contexts.length > 0) {
+      const context = contexts[0];
+      const pages = context.pages();
+      page = pages.find(p => p.url().includes('midjourney.com')) || pages[0];
+      
+      if (!page) {
+        page = await context.newPage();
+      }
+    } else {
+      throw new Error('沒有找到瀏覽器 context');
+    }
+    
+    connectionMode = 'connect';
+    attachNetworkCapture(page);
+    attachConsoleCapture(page);
+    superviseBrowser();
+    console.log('✅ 已連接到你的 Chrome 瀏覽器！');
+    console.log(`📄 當前頁面: ${page.url()}`);
+    
+    // 自動檢查登入狀態
+    const url = page.url();
+    isLoggedIn = url.includes('midjourney.com') && !url.includes('/auth/');
+    console.log(`🔐 登入狀態: ${isLoggedIn ? '已登入' : '未登入'}`);
+    
+    return true;
+  } catch (error) {
+    console.log('❌ 無法連接，請確認 Chrome 已用以下指令開啟:');
+    console.log(`\n${chromeLaunchHint()}\n`);
+    throw error;
+  }
+}
+
+/**
+ * 啟動獨立的 Playwright 瀏覽器
+ */
+async function launchStandaloneBrowser() {
+  // 如果瀏覽器已開啟但 page 無效，重新創建 page
+  if (browser) {
+    try {
+      // 測試 page 是否還有效
+      await page.title();
+      console.log('瀏覽器已經開啟');
+      return;
+    } catch (e) {
+      // page 已失效，重新創建
+      console.log('🔄 重新創建頁面...');
+      page = await browser.newPage();
+      attachNetworkCapture(page);
+      attachConsoleCapture(page);
+      superviseBrowser();
+      return;
+    }
+  }
+
+  // 確保資料目錄存在
+  if (!existsSync(USER_DATA_DIR)) {
+    mkdirSync(USER_DATA_DIR, { recursive: true });
+  }
+
+  console.log('🚀 啟動瀏覽器...');
+  console.log(`📁 Session 存儲於: ${USER_DATA_DIR}`);
+  
+  // 使用 persistent context 保存 cookies 和 localStorage
+  const context = await chromium.launchPersistentContext(USER_DATA_DIR, {
+    headless: config.headless,
+    slowMo: config.slowMo,
+    viewport: { width: 1280, height: 800 },
+    userAgent: config.userAgent || undefined,
+    executablePath: findChromeExecutable(true) || undefined,
+  });
+
+  browser = context; // persistent context 本身就是 browser + context
+  page = context.pages()[0] || await context.newPage();
+  connectionMode = 'standalone';
+  
+  // 監聽網絡請求（用於捕捉 API 響應）
+  attachNetworkCapture(page);
+  attachConsoleCapture(page);
+  
+  // 監聽頁面關閉、崩潰與瀏覽器斷線，自動恢復
+  superviseBrowser();
+
+  console.log('✅ 瀏覽器已啟動（登入狀態會自動保存）');
+}
+
+/**
+ * 開啟 remote debugging 的 Chrome 指令（提示用）
+ */
+function chromeLaunchHint() {
+  const chromePath = findChromeExecutable() || 'google-chrome';
+  return `"${chromePath}" --remote-debugging-port=${REMOTE_DEBUGGING_PORT}`;
+}
+
+/**
+ * 檢查 remote debugging 端口是否有 Chrome 在監聽
+ */
+async function isDebuggingPortOpen() {
+  const response = await fetch(`http://127.0.0.1:${REMOTE_DEBUGGING_PORT}/json/version`).catch(() => null);
+  return Boolean(response?.ok);
+}
+
+/**
+ * 啟動開啟 remote debugging 的系統 Chrome（之後以 CDP 連接）
+ */
+async function spawnChrome() {
+  if (await isDebuggingPortOpen()) {
+    console.log('Chrome 已經在運行中');
+    return;
+  }
+  
+  const chromePath = findChromeExecutable();
+  if (!chromePath) {
+    throw new Error('找不到 Chrome / Chromium，請設定 chromePath 或執行 npx playwright install chromium');
+  }
+  
+  console.log(`🚀 啟動 Chrome: ${chromePath}`);
+  const args = [
+    `--remote-debugging-port=${REMOTE_DEBUGGING_PORT}`,
+    `--user-data-dir=${config.chromeUserDataDir}`,
+    '--no-first-run',
+    '--no-default-browser-check'
+  ];
+  if (config.headless) {
+    args.push('--headless=new');
+  }
+  if (config.userAgent) {
+    args.push(`--user-agent=${config.userAgent}`);
+  }
+  
+  const chrome = spawn(chromePath, args, { detached: true, stdio: 'ignore' });
+  chrome.unref();
+  
+  // 等待 Chrome 開始監聽
+  for (let i = 0; i < 20; i++) {
+    await new Promise(r => setTimeout(r, 500));
+    if (await isDebuggingPortOpen()) return;
+  }
+  throw new Error('Chrome 啟動逾時');
+}
+
+/**
+ * 主要的啟動函數，每種模式只有一種行為：
+ *   connect    - 以 CDP 連接已開啟 remote debugging 的 Chrome
+ *   spawn      - 啟動系統 Chrome（開啟 remote debugging）再以 CDP 連接
+ *   standalone - 啟動 Playwright 管理的瀏覽器（session 存在 userDataDir）
+ *   auto       - 可以連接就 connect，否則 standalone
+ */
+async function launchBrowser(mode = config.browserMode) {
+  if (mode === 'spawn') {
+    await spawnChrome();
+    await connectToUserBrowser();
+  } else if (mode === 'connect') {
+    await connectToUserBrowser();
+  } else if (mode === 'auto' && await isDebuggingPortOpen()) {
+    await connectToUserBrowser();
+  } else {
+    await launchStandaloneBrowser();
+  }
+  
+  // 自動恢復時使用同一種模式
+  browserState.launchMode = mode === 'auto' ? connectionMode : mode;
+}
+
+/**
+ * 導航到 Midjourney
+ */
+async function navigateToMidjourney() {
+  if (!page) {
+    throw new Error('瀏覽器未啟動');
+  }
+
+  await page.goto('https://www.midjourney.com/imagine', { 
+    timeout: 60000,
+    waitUntil: 'domcontentloaded' 
+  });
+  
+  // 等待頁面穩定
+  await page.waitForTimeout(3000);
+  
+  // 檢查是否已登入
+  const url = page.url();
+  isLoggedIn = !url.includes('/auth/');
+  
+  return isLoggedIn;
+}
+
+/**
+ * 檢查登入狀態
+ */
+async function checkLoginStatus() {
+  if (!page) return false;
+  
+  const url = page.url();
+  isLoggedIn = url.includes('midjourney.com') && !url.includes('/auth/');
+  return isLoggedIn;
+}
+
+// ==================== 瀏覽器監控 ====================
+
+// 瀏覽器連線狀態（/health/ready 依此判斷）
+const browserState = {
+  status: 'idle', // idle | connected | lost | recovering | failed
+  mode: null,
+  launchMode: null, // launchBrowser 使用的模式（connect | spawn | standalone）
+  reason: null, // 最近一次斷線原因
+  connectedAt: null,
+  lostAt: null,
+  recoveries: 0, // 成功恢復的次數
+  recovering: false,
+  closing: false, // 主動關閉時不觸發恢復
+};
+const supervisedTargets = new WeakSet();
+
+/**
+ * 監聽瀏覽器與頁面的斷線 / 崩潰事件（連接或啟動成功後呼叫）
+ */
+function superviseBrowser() {
+  const isCdpBrowser = typeof browser.contexts === 'function';
+  
+  if (!supervisedTargets.has(browser)) {
+    supervisedTargets.add(browser);
+    const target = browser;
+    // connectOverCDP 得到 Browser（disconnected），persistent context 得到 BrowserContext（close）
+    target.on(isCdpBrowser ? 'disconnected' : 'close', () => {
+      if (target === browser) handleBrowserLost('browser_closed', { browserGone: true });
+    });
+  }
+  
+  if (!supervisedTargets.has(page)) {
+    supervisedTargets.add(page);
+    const target = page;
+    target.on('close', () => {
+      if (target === page) handleBrowserLost('page_closed');
+    });
+    target.on('crash', () => {
+      if (target === page) handleBrowserLost('page_crashed');
+    });
+  }
+  
+  // 恢復流程會在頁面就緒後再次呼叫
+  if (browserState.recovering) return;
+  
+  const wasConnected = browserState.status === 'connected';
+  Object.assign(browserState, {
+    status: 'connected',
+    mode: connectionMode,
+    connectedAt: new Date().toISOString(),
+  });
+  if (!wasConnected) {
+    broadcast({ type: 'browser_connected', mode: connectionMode });
+  }
+}
+
+/**
+ * 瀏覽器或頁面失效：清掉過期的參照並開始恢復
+ */
+function handleBrowserLost(reason, { browserGone = false } = {}) {
+  if (browserState.closing) return;
+  
+  // 頁面關閉後瀏覽器才斷線時，恢復流程改為重新啟動
+  if (browserGone) {
+    browser = null;
+  }
+  if (browserState.recovering) return;
+  
+  console.log(`⚠️ 瀏覽器連線中斷: ${reason}`);
+  page = null;
+  isLoggedIn = false;
+  
+  Object.assign(browserState, { status: 'lost', reason, lostAt: new Date().toISOString() });
+  broadcast({ type: 'browser_lost', reason, activeJobs: currentJobs.size });
+  wsLog('warning', `瀏覽器連線中斷 (${reason})，正在嘗試恢復...`);
+  
+  recoverBrowser();
+}
+
+/**
+ * 以指數退避重新連接或啟動瀏覽器，恢復 /imagine 頁面並繼續追蹤進行中的任務
+ */
+async function recoverBrowser() {
+  browserState.recovering = true;
+  browserState.status = 'recovering';
+  
+  for (let attempt = 1; attempt <= BROWSER_RECOVERY_MAX_ATTEMPTS; attempt++) {
+    const delay = Math.min(BROWSER_RECOVERY_BASE_MS * 2 ** (attempt - 1), BROWSER_RECOVERY_MAX_MS);
+    await new Promise(r => setTimeout(r, delay));
+    if (browserState.closing) {
+      browserState.recovering = false;
+      return;
+    }
+    
+    try {
+      console.log(`🔄 恢復瀏覽器 (第 ${attempt} 次)...`);
+      if (!browser) {
+        await launchBrowser(browserState.launchMode || connectionMode);
+      } else if (!page || page.isClosed()) {
+        // 只有頁面失效：在原本的 context 開新頁面
+        const context = typeof browser.contexts === 'function' ? browser.contexts()[0] : browser;
+        page = await context.newPage();
+        attachNetworkCapture(page);
+        attachConsoleCapture(page);
+      }
+      
+      await navigateToMidjourney();
+      browserState.recovering = false;
+      browserState.recoveries++;
+      superviseBrowser();
+      wsLog('success', `瀏覽器已恢復${isLoggedIn ? '' : '，但需要重新登入'}`);
+      broadcast({ type: 'login_status', isLoggedIn });
+      
+      // 繼續追蹤進行中的任務與佇列
+      if (currentJobs.size > 0) {
+        driver.startProgress();
+      }
+      if (generationQueue.some(q => q.status === 'queued')) {
+        scheduleQueue();
+      }
+      return;
+    } catch (error) {
+      console.log(`❌ 恢復失敗 (第 ${attempt} 次): ${error.message}`);
+    }
+  }
+  
+  browserState.recovering = false;
+  browserState.status = 'failed';
+  wsLog('error', '瀏覽器無法自動恢復，請手動重新啟動');
+}
+
+/**
+ * 主動關閉瀏覽器（不觸發自動恢復）
+ */
+async function closeBrowser() {
+  browserState.closing = true;
+  try {
+    if (browser) {
+      await browser.close();
+    }
+  } finally {
+    browser = null;
+    page = null;
+    isLoggedIn = false;
+    Object.assign(browserState, { status: 'idle', closing: false });
+  }
+}
+
+// ==================== Midjourney 操作 ====================
+
+/**
+ * 驗證並補齊影片設定
+ * @param {object} options - { loop, motion, promptMode, prompt, batchSize, raw, duration }
+ * @param {object} defaults - 依呼叫路徑不同的預設值
+ * @returns {{ settings?: object, error?: string }}
+ */
+function parseVideoOptions(options = {}, defaults = {}) {
+  if (options !== undefined && options !== null && (typeof options !== 'object' || Array.isArray(options))) {
+    return { error: 'options 必須是物件' };
+  }
+  
+  const settings = { ...VIDEO_DEFAULTS, ...defaults };
+  const validators = {
+    loop: v => typeof v === 'boolean' || 'loop 必須是布林值',
+    motion: v => ['low', 'high'].includes(v) || 'motion 必須是 low 或 high',
+    promptMode: v => ['auto', 'manual'].includes(v) || 'promptMode 必須是 auto 或 manual',
+    prompt: v => (typeof v === 'string' && v.length <= 1000) || 'prompt 必須是 1000 字以內的字串',
+    batchSize: v => [1, 2, 4].includes(v) || 'batchSize 必須是 1、2 或 4',
+    raw: v => typeof v === 'boolean' || 'raw 必須是布林值',
+    duration: v => v === 5 || 'duration 目前只支援 5 秒，更長的影片請使用 extend',
+  };
+  
+  for (const [key, value] of Object.entries(options || {})) {
+    if (value === undefined) continue;
+    if (!validators[key]) {
+      return { error: `未知的影片選項: ${key}` };
+    }
+    const valid = validators[key](value);
+    if (valid !== true) {
+      return { error: valid };
+    }
+    settings[key] = value;
+  }
+  
+  // 有 motion prompt 就是 manual 模式
+  if (settings.prompt.trim() && options?.promptMode === undefined) {
+    settings.promptMode = 'manual';
+  }
+  if (settings.promptMode === 'manual' && !settings.prompt.trim()) {
+    return { error: 'manual 模式需要 prompt' };
+  }
+  if (settings.promptMode === 'auto' && settings.prompt.trim()) {
+    return { error: 'auto 模式不能指定 prompt' };
+  }
+  
+  return { settings };
+}
+
+/**
+ * 是否使用了 Animate 按鈕無法套用的設定
+ */
+function hasCustomVideoSettings(settings) {
+  return settings.promptMode === 'manual' || settings.motion !== 'low' ||
+    settings.batchSize !== VIDEO_DEFAULTS.batchSize || settings.raw || settings.loop;
+}
+
+/**
+ * 組出輸入到 prompt 框的動態描述與影片參數
+ * e.g. "slow camera pan --motion high --raw --bs 2"
+ */
+function buildVideoPrompt(settings) {
+  const parts = [];
+  
+  if (settings.promptMode === 'manual') parts.push(settings.prompt.trim());
+  parts.push(`--motion ${settings.motion}`);
+  if (settings.raw) parts.push('--raw');
+  if (settings.batchSize !== VIDEO_DEFAULTS.batchSize) parts.push(`--bs ${settings.batchSize}`);
+  
+  return parts.join(' ');
+}
+
+/**
+ * 是否為 Midjourney CDN 的 https 網址
+ */
+function isMidjourneyCdnUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' && parsed.hostname === MIDJOURNEY_CDN_HOST;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 從圖片生成影片
+ * @param {string} imageUrl - 圖片 URL 或 job ID（非 Animate 的情況會先下載成上傳）
+ * @param {object} options - 影片設定，見 parseVideoOptions
+ * @param {object} meta - 寫入任務記錄的額外欄位 { callbackUrl }
+ */
+async function generateVideoFromImage(imageUrl, options = {}, meta = {}) {
+  if (!page || !isLoggedIn) {
+    throw new Error('請先登入 Midjourney');
+  }
+
+  const { settings, error } = parseVideoOptions(options);
+  if (error) {
+    throw new Error(error);
+  }
+
+  // 方法 1: 如果是 Midjourney 圖片且使用預設設定，使用 Animate 按鈕
+  const isMidjourneyImage = isMidjourneyCdnUrl(imageUrl) || imageUrl.startsWith('job:');
+  if (isMidjourneyImage && !hasCustomVideoSettings(settings)) {
+    return await animateExistingImage(imageUrl, meta);
+  }
+  if (imageUrl.startsWith('job:')) {
+    throw new Error('自訂影片設定需要圖片 URL，請改傳 cdn.midjourney.com 的圖片網址');
+  }
+
+  // 方法 2: 下載圖片存成上傳後當作起始畫面
+  // Midjourney CDN 透過瀏覽器 context（可能需要 cookies），其他網址走有內部網路防護的 fetchRemoteImage
+  let remote;
+  if (isMidjourneyCdnUrl(imageUrl)) {
+    const buffer = await downloadAsset(imageUrl, UPLOAD_MAX_BYTES);
+    remote = buffer
+      ? { buffer, originalName: new URL(imageUrl).pathname.split('/').pop() || 'remote-image' }
+      : { status: 502, code: 'FETCH_FAILED', error: '無法下載圖片' };
+  } else {
+    remote = await fetchRemoteImage(imageUrl);
+  }
+  if (remote.error) {
+    throw Object.assign(new Error(remote.error), { status: remote.status, code: remote.code });
+  }
+  const stored = await storeUploadBuffer(remote.buffer, remote.originalName, UPLOAD_PROCESSING_DEFAULTS, {
+    sourceUrl: imageUrl,
+    ...(meta.apiKey ? { apiKey: meta.apiKey } : {})
+  });
+  if (stored.error) {
+    throw new Error(`${stored.error} (${stored.code})`);
+  }
+  
+  // 保持 /video/generate 的預設（loop 關閉），job 記錄仍標示為 generate
+  return await uploadLocalImageAndAnimate(join(UPLOAD_DIR, stored.record.fileName), { ...options, loop: settings.loop }, {
+    source: 'generate',
+    imageUrl,
+    uploadId: stored.record.id,
+    ...meta
+  });
+}
+
+/**
+ * 確保在 imagine 頁面
+ */
+async function ensureImaginePage(reload = false) {
+  const currentUrl = page.url();
+  if (reload || !currentUrl.includes('/imagine')) {
+    console.log('🌐 導航到 /imagine...');
+    try {
+      await page.goto('https://www.midjourney.com/imagine', { waitUntil: 'domcontentloaded' });
+    } catch (e) {
+      throw automationError('NAVIGATION_FAILED', { detail: e.message });
+    }
+    await page.waitForTimeout(2000);
+  }
+}
+
+/**
+ * 任務送出後回到 imagine 頁面，進度監控需要任務卡片
+ * 任務已經在追蹤中，導航失敗只記錄，不讓呼叫者以為提交失敗
+ */
+async function returnToImaginePage() {
+  try {
+    await page.goto('https://www.midjourney.com/imagine', { waitUntil: 'domcontentloaded' });
+  } catch (e) {
+    console.log('⚠️ 無法回到 imagine 頁面:', e.message);
+    wsLog('warning', `無法回到 imagine 頁面: ${e.message}`);
+  }
+}
+
+/**
+ * 建立帶有失敗代碼與步驟的錯誤（路由以 502 回應）
+ * @param {string} code - AUTOMATION_ERRORS 的代碼
+ * @param {object} [info] - { step: 覆蓋預設步驟, detail: 附加在訊息後的原因 }
+ */
+function automationError(code, { step, detail } = {}) {
+  const entry = AUTOMATION_ERRORS[code];
+  const error = new Error(detail ? `${entry.message}: ${detail}` : entry.message);
+  return Object.assign(error, { code, step: step || entry.step, retryable: entry.retryable, status: 502, attempts: 1 });
+}
+
+/**
+ * 執行上傳與提交流程，暫時性的失敗等待後重新導航到 /imagine 從頭重試
+ * 流程以 attempt.step 標記目前步驟；按下 Enter 前設定 attempt.submitted，之後的失敗一律不重試，避免重複提交付費生成
+ * 不可重試、已提交或最後一次仍失敗時寫入一筆失敗任務記錄
+ * @param {function(object): Promise<object>} run - 收到 attempt { number, step, submitted }
+ * @param {object} fields - 失敗任務記錄的欄位
+ */
+async function runWithRetry(run, fields) {
+  const attempt = { number: 1, step: 'navigate', submitted: false };
+  
+  while (true) {
+    try {
+      return await run(attempt);
+    } catch (e) {
+      let error = e;
+      if (!(e.code in AUTOMATION_ERRORS)) {
+        error = automationError('STEP_FAILED', { step: attempt.step, detail: e.message });
+        error.retryable = TRANSIENT_BROWSER_ERROR.test(e.message);
+      }
+      error.attempts = attempt.number;
+      console.log(`⚠️ 第 ${attempt.number} 次嘗試失敗 [${error.code} @ ${error.step}]: ${error.message}`);
+      
+      if (!page || attempt.submitted || !error.retryable || attempt.number >= AUTOMATION_MAX_ATTEMPTS) {
+        const jobId = `failed-${randomUUID()}`;
+        trackJob(jobId, fields);
+        failJob(jobId, error.message, { code: error.code, step: error.step, attempts: error.attempts });
+        error.jobId = jobId;
+        throw error;
+      }
+      
+      const delay = AUTOMATION_RETRY_BASE_MS * 2 ** (attempt.number - 1);
+      wsLog('warning', `${error.message}，${delay / 1000} 秒後重試 (${attempt.number}/${AUTOMATION_MAX_ATTEMPTS})`, fields.apiKey);
+      await new Promise(r => setTimeout(r, delay));
+      attempt.number++;
+      attempt.step = 'navigate';
+    }
+  }
+}
+
+/**
+ * 上傳圖片到影片的起始或結束畫面
+ * @param {string} absolutePath - 本地圖片絕對路徑
+ * @param {string} slot - 'start' | 'end'
+ */
+async function uploadFrameImage(absolutePath, slot = 'start', attempt = {}) {
+  // === 步驟 1: 點擊 "Add Images" 或 "Ending Frame" 欄位 ===
+  attempt.step = 'add-images';
+  if (slot === 'end') {
+    console.log('1️⃣ 點擊 Ending Frame 欄位...');
+  } else {
+    console.log('1️⃣ 點擊 Add Images 按鈕...');
+  }
+  const addTarget = await locate(slot === 'end' ? 'upload.endFrame' : 'upload.addImages');
+  const addImagesClicked = { success: Boolean(addTarget) };
+  if (addTarget) {
+    addImagesClicked.text = (await addTarget.textContent())?.trim().slice(0, 50);
+    await addTarget.evaluate(el => el.click());
+  }
+  console.log(`   結果: ${JSON.stringify(addImagesClicked)}`);
+  // 上傳面板已開啟時不需要 Add Images 按鈕
+  if (!addImagesClicked.success && (slot === 'end' || !(await isPresent('upload.dropzone')))) {
+    throw automationError(slot === 'end' ? 'END_FRAME_NOT_FOUND' : 'ADD_IMAGES_NOT_FOUND');
+  }
+  await page.waitForTimeout(1000);
+
+  // === 步驟 2: 點擊 "Upload a file or drop it here" 觸發 file chooser ===
+  attempt.step = 'file-chooser';
+  console.log('2️⃣ 點擊上傳按鈕，等待 file chooser...');
+  
+  // 設置 file chooser 監聽，然後點擊上傳按鈕
+  const [fileChooser] = await Promise.all([
+    page.waitForEvent('filechooser', { timeout: 10000 }).catch(() => null),
+    locate('upload.dropzone').then(async (dropzone) => {
+      if (!dropzone) return { clicked: false };
+      await dropzone.evaluate(el => el.click());
+      return { clicked: true };
+    })
+  ]);
+
+  // === 步驟 3: 上傳圖片 ===
+  if (fileChooser) {
+    console.log('3️⃣ 上傳檔案...');
+    await fileChooser.setFiles(absolutePath);
+    console.log('   ✅ 檔案已選擇');
+  } else {
+    // 如果 file chooser 沒觸發，嘗試直接用 input（結束畫面用最後一個 input）
+    console.log('   ⚠️ file chooser 未觸發，嘗試直接設置 input...');
+    const fileInputs = await page.$$(selectorCss('upload.fileInput'));
+    const fileInput = slot === 'end' ? fileInputs[fileInputs.length - 1] : fileInputs[0];
+    if (fileInput) {
+      await fileInput.setInputFiles(absolutePath);
+      console.log('   ✅ 通過 input 上傳');
+    } else {
+      throw automationError('UPLOAD_METHOD_NOT_FOUND');
+    }
+  }
+
+  // === 步驟 4: 等待圖片上傳完成（出現在 Starting Frame / Ending Frame） ===
+  attempt.step = 'upload-confirm';
+  console.log('4️⃣ 等待圖片上傳完成...');
+  await page.waitForTimeout(3000);
+
+  // 確認圖片已上傳（檢查是否有 Starting Frame 或縮圖）
+  const uploadConfirmed = await page.evaluate((previewSelector) => {
+    // 檢查是否有圖片縮圖
+    const thumbnails = document.querySelectorAll(previewSelector);
+    const visible = [...thumbnails].filter(img => img.offsetParent !== null && img.width > 30);
+    if (visible.length > 0) {
+      return { hasImage: true, count: visible.length, src: visible[0].src?.slice(0, 50) };
+    }
+    return { hasImage: false };
+  }, selectorCss('upload.preview'));
+  if (!uploadConfirmed.hasImage) {
+    // 檢查是否有 Video/Starting Frame 相關 UI
+    uploadConfirmed.videoUI = await isPresent('upload.frameLabels');
+  }
+  console.log(`   上傳確認: ${JSON.stringify(uploadConfirmed)}`);
+  if (!uploadConfirmed.hasImage && !uploadConfirmed.videoUI) {
+    throw automationError('UPLOAD_NOT_CONFIRMED');
+  }
+  return uploadConfirmed;
+}
+
+/**
+ * 設定 Loop checkbox
+ * @param {boolean} enabled - 是否勾選
+ */
+async function setLoopToggle(enabled) {
+  const loopLabel = await locate('video.loopToggle');
+  const loopResult = !loopLabel ? { clicked: false, notFound: true } : await loopLabel.evaluate((el, enabled) => {
+    // 點擊 label 或其中的 checkbox
+    const checkbox = el.querySelector('input[type="checkbox"]') || 
+                    el.closest('label')?.querySelector('input[type="checkbox"]');
+    if (checkbox) {
+      if (checkbox.checked === enabled) {
+        return { clicked: false, wasChecked: checkbox.checked };
+      }
+      checkbox.click();
+      return { clicked: true, wasChecked: !enabled };
+    }
+    // 沒有 checkbox 時無法得知狀態，只在需要開啟時點擊
+    if (!enabled) {
+      return { clicked: false, element: 'label' };
+    }
+    el.click();
+    return { clicked: true, element: 'label' };
+  }, enabled);
+  console.log(`   Loop: ${JSON.stringify(loopResult)}`);
+  await page.waitForTimeout(500);
+}
+
+/**
+ * 輸入影片參數並提交，追蹤產生的任務
+ * @param {object} settings - parseVideoOptions 產生的設定
+ * @param {object} fields - 寫入任務記錄的欄位
+ * @param {object} attempt - runWithRetry 的嘗試資訊，嘗試次數一併寫入任務記錄
+ */
+async function submitVideoJob(settings, fields, attempt = {}) {
+  // === 步驟 6: 輸入動態描述與影片參數 ===
+  attempt.step = 'submit';
+  fields = { ...fields, settings, attempts: attempt.number || 1 };
+  const videoPrompt = buildVideoPrompt(settings);
+  console.log(`6️⃣ 輸入影片參數: ${videoPrompt}`);
+  // 沒有輸入框就無法帶入設定，不能用預設設定提交
+  const promptBox = await locate('prompt.input');
+  if (!promptBox) {
+    throw automationError('PROMPT_INPUT_NOT_FOUND');
+  }
+  await promptBox.fill(videoPrompt);
+
+  // === 步驟 7: 按 Enter 提交生成！（不要按 Escape！）===
+  console.log('7️⃣ 按 Enter 提交生成...');
+  const knownIds = await snapshotJobIds();
+  const submitted = waitForSubmittedJobIds();
+  attempt.submitted = true; // 之後的失敗不重試，任務可能已經送出
+  await page.keyboard.press('Enter');
+  console.log('   ✅ 已按 Enter');
+
+  // 等待任務開始，優先使用網路層捕捉到的 job ID，DOM 比對只作為備援
+  const [networkJobId] = await submitted;
+  const jobId = networkJobId || await findNewJobId(knownIds);
+  
+  // 沒有 ID 且 prompt 仍留在輸入框 = Enter 沒有送出
+  if (!jobId && videoPrompt && (await promptBox.inputValue().catch(() => '')) === videoPrompt) {
+    throw automationError('JOB_NOT_CREATED');
+  }
+  
+  if (jobId) {
+    trackJob(jobId, fields);
+    
+    // 啟動進度監控
+    startProgressMonitor();
+    
+    // 廣播任務開始
+    broadcast({
+      type: 'job_started',
+      jobId,
+      message: '影片生成任務已開始'
+    });
+    
+    return { success: true, jobId, settings, message: '影片生成任務已開始' };
+  }
+
+  // 即使沒有 jobId，也生成一個臨時 ID 來追蹤進度，之後會升級為真實 ID
+  const tempJobId = trackTemporaryJob(knownIds, fields);
+  
+  // 啟動進度監控
+  startProgressMonitor();
+  
+  broadcast({
+    type: 'job_started',
+    jobId: tempJobId,
+    message: '任務已提交，開始追蹤進度'
+  });
+  
+  return { 
+    success: true, 
+    jobId: tempJobId, 
+    settings,
+    message: '任務已提交，正在追蹤進度' 
+  };
+}
+
+/**
+ * 上傳本地圖片並生成影片
+ * @param {string} localPath - 本地圖片路徑
+ * @param {object} options - 影片設定，見 parseVideoOptions（loop 預設開啟）
+ * @param {object} meta - 寫入任務記錄的額外欄位 { callbackUrl }
+ */
+async function uploadLocalImageAndAnimate(localPath, options = {}, meta = {}) {
+  if (!page || !isLoggedIn) {
+    throw new Error('請先登入 Midjourney');
+  }
+
+  const absolutePath = resolve(localPath);
+  if (!existsSync(absolutePath)) {
+    throw new Error(`找不到檔案: ${absolutePath}`);
+  }
+
+  const { settings, error } = parseVideoOptions(options, { loop: true });
+  if (error) {
+    throw new Error(error);
+  }
+  console.log(`📤 上傳圖片: ${absolutePath}`);
+  console.log(`🎛️ 影片設定: ${JSON.stringify(settings)}`);
+
+  const fields = { source: 'upload', localPath: absolutePath, options, ...meta };
+  return await runWithRetry(async (attempt) => {
+    await ensureImaginePage(attempt.number > 1);
+    await uploadFrameImage(absolutePath, 'start', attempt);
+
+    // === 步驟 5: 如果需要 Loop，勾選 Loop checkbox ===
+    if (settings.loop) {
+      attempt.step = 'loop';
+      console.log('5️⃣ 勾選 Loop...');
+      await setLoopToggle(true);
+    }
+
+    return await submitVideoJob(settings, fields, attempt);
+  }, { ...fields, settings });
+}
+
+/**
+ * 上傳起始與結束畫面並生成影片
+ * @param {string} startPath - 起始畫面圖片路徑
+ * @param {string} endPath - 結束畫面圖片路徑
+ * @param {object} options - 影片設定，見 parseVideoOptions（loop 強制關閉）
+ * @param {object} meta - 寫入任務記錄的額外欄位 { callbackUrl }
+ */
+async function uploadKeyframesAndAnimate(startPath, endPath, options = {}, meta = {}) {
+  if (!page || !isLoggedIn) {
+    throw new Error('請先登入 Midjourney');
+  }
+
+  const startFrame = resolve(startPath);
+  const endFrame = resolve(endPath);
+  for (const framePath of [startFrame, endFrame]) {
+    if (!existsSync(framePath)) {
+      throw new Error(`找不到檔案: ${framePath}`);
+    }
+  }
+
+  // Loop 會讓影片回到起始畫面，與結束畫面衝突
+  const { loop, ...frameOptions } = options || {};
+  const { settings, error } = parseVideoOptions(frameOptions, { loop: false });
+  if (error) {
+    throw new Error(error);
+  }
+  if (loop) {
+    console.log('   ⚠️ 結束畫面與 Loop 衝突，已關閉 Loop');
+  }
+  console.log(`📤 上傳關鍵影格: ${startFrame} → ${endFrame}`);
+  console.log(`🎛️ 影片設定: ${JSON.stringify(settings)}`);
+
+  const fields = {
+    source: 'keyframes',
+    localPath: startFrame,
+    endFramePath: endFrame,
+    options,
+    ...meta
+  };
+  return await runWithRetry(async (attempt) => {
+    await ensureImaginePage(attempt.number > 1);
+    console.log('🎞️ 起始畫面');
+    await uploadFrameImage(startFrame, 'start', attempt);
+    console.log('🎞️ 結束畫面');
+    await uploadFrameImage(endFrame, 'end', attempt);
+
+    // === 步驟 5: 確保 Loop 關閉 ===
+    attempt.step = 'loop';
+    console.log('5️⃣ 關閉 Loop...');
+    await setLoopToggle(false);
+
+    return await submitVideoJob(settings, fields, attempt);
+  }, { ...fields, settings });
+}
+
+/**
+ * 等待影片完成並返回 URL
+ * 通常由任務的時限結束等待（watchdog 會把任務標記為 timed_out）；關閉時限時最多等 JOB_TIMEOUT_MAX_SECONDS
+ * 瀏覽器中斷時不再等待
+ */
+async function waitForVideoComplete(requestedId) {
+  const deadline = Date.now() + JOB_TIMEOUT_MAX_SECONDS * 1000;
+  while (true) {
+    // 臨時 ID 可能已升級為真實 ID
+    const jobId = resolveJobAlias(requestedId);
+    const job = jobStore.get(jobId);
+    if (!job) {
+      return { success: false, jobId, message: '找不到任務' };
+    }
+    if (job.status !== 'complete' && isJobFinished(job)) {
+      return { success: false, jobId, status: job.status, error: job.error };
+    }
+    if (!page || page.isClosed()) {
+      return { success: false, jobId, status: job.status, error: '瀏覽器已中斷，無法等待影片完成' };
+    }
+    if (Date.now() > deadline) {
+      return { success: false, jobId, status: job.status, error: `等待超過 ${JOB_TIMEOUT_MAX_SECONDS / 3600} 小時，停止等待` };
+    }
+    
+    // 刷新頁面狀態（等待期間瀏覽器可能中斷，下一輪再檢查）
+    await new Promise(r => setTimeout(r, 5000));
+    if (!page || page.isClosed()) continue;
+    
+    // 檢查影片是否完成
+    const videoResult = await getVideoUrl(jobId, 0);
+    if (videoResult.success) {
+      // 與進度監控相同的完成流程：廣播 video_complete、webhook 與自動存檔
+      if (currentJobs.has(jobId)) {
+        announceJobComplete(jobId);
+      }
+      const videos = [];
+      for (const { index } of buildVideoUrls(jobId)) {
+        videos.push(await getVideoUrl(jobId, index));
+      }
+      return { success: true, jobId, status: 'complete', videos: videos.filter(v => v.success) };
+    }
+    
+    // 從頁面獲取進度
+    const progress = await page.evaluate(({ id, cardSelector, completeState }) => {
+      const jobLinks = document.querySelectorAll(`a[href*="/jobs/${id}"]`);
+      for (const link of jobLinks) {
+        const parent = link.closest(cardSelector);
+        const progressText = parent?.textContent;
+        if (progressText?.includes('%')) {
+          const match = progressText.match(/(\d+)%/);
+          return match ? parseInt(match[1]) : 0;
+        }
+        if (progressText?.includes(completeState)) {
+          return 100;
+        }
+      }
+      return -1;
+    }, { id: jobId, cardSelector: selectorCss('jobs.card'), completeState: selectorProfile.text.completeState });
+    
+    if (progress >= 0) {
+      console.log(`⏳ 進度: ${progress}%`);
+      if (currentJobs.has(jobId)) {
+        updateJob(jobId, { progress });
+      }
+    }
+  }
+}
+
+/**
+ * 在 Midjourney 介面上取消進行中的任務
+ * 取消按鈕只在滑鼠移到任務卡片上時出現，只在這個任務的卡片內尋找，避免點到其他任務的按鈕；
+ * 找不到時返回 false（任務仍會在 Midjourney 上完成）
+ */
+async function cancelJobInUi(jobId) {
+  if (!page || jobId.startsWith('temp-')) return false;
+  
+  try {
+    const link = await page.$(`a[href*="/jobs/${jobId}"]`);
+    if (!link) return false;
+    
+    const cardHandle = await link.evaluateHandle((el, cardSelector) => el.closest(cardSelector), selectorCss('jobs.card'));
+    const card = cardHandle.asElement();
+    if (!card) {
+      await cardHandle.dispose();
+      return false;
+    }
+    
+    await card.hover();
+    await page.waitForTimeout(500);
+    const cancelButton = await locate('jobs.cancel', card);
+    if (!cancelButton) return false;
+    
+    await cancelButton.click();
+    console.log(`🛑 已在 Midjourney 取消任務 ${jobId}`);
+    return true;
+  } catch (e) {
+    console.log('⚠️ 無法在介面上取消任務:', e.message);
+    return false;
+  }
+}
+
+/**
+ * 動畫化現有的 Midjourney 圖片
+ */
+async function animateExistingImage(jobIdOrUrl, meta = {}) {
+  // 找到 Animate 按鈕並點擊
+  const animateButton = await locate('animate.button');
+  
+  if (animateButton) {
+    const knownIds = await snapshotJobIds();
+    const submitted = waitForSubmittedJobIds();
+    await animateButton.click();
+    
+    // 等待任務開始，優先使用網路層捕捉到的 job ID
+    const [networkJobId] = await submitted;
+    const jobId = networkJobId || await findNewJobId(knownIds);
+    // Animate 按鈕只會套用 Midjourney 的預設設定
+    const settings = { ...VIDEO_DEFAULTS };
+    const fields = { source: 'animate', parentJob: jobIdOrUrl || null, settings, ...meta };
+    const trackedId = jobId || trackTemporaryJob(knownIds, fields);
+    if (jobId) {
+      trackJob(jobId, fields);
+    }
+    
+    startProgressMonitor();
+    broadcast({ type: 'job_started', jobId: trackedId, message: '動畫任務已開始' });
+    return { success: true, jobId: trackedId, settings };
+  }
+
+  throw new Error('找不到 Animate 按鈕');
+}
+
+/**
+ * 驗證 /imagine 的結構化參數
+ * @returns {string|null} 錯誤訊息
+ */
+function validateImagineParameters(parameters = {}) {
+  const { aspectRatio, version, stylize, chaos, seed, raw, no } = parameters;
+  const inRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+  
+  if (aspectRatio !== undefined && !/^\d{1,3}:\d{1,3}$/.test(aspectRatio)) return 'aspectRatio 格式應為 W:H';
+  if (version !== undefined && !/^(\d+(\.\d+)?|niji \d+)$/.test(String(version))) return 'version 格式錯誤';
+  if (stylize !== undefined && !inRange(stylize, 0, 1000)) return 'stylize 必須是 0-1000 的整數';
+  if (chaos !== undefined && !inRange(chaos, 0, 100)) return 'chaos 必須是 0-100 的整數';
+  if (seed !== undefined && !inRange(seed, 0, 4294967295)) return 'seed 必須是 0-4294967295 的整數';
+  if (raw !== undefined && typeof raw !== 'boolean') return 'raw 必須是布林值';
+  if (no !== undefined && typeof no !== 'string' && !Array.isArray(no)) return 'no 必須是字串或陣列';
+  if (Array.isArray(no) && !no.every(term => typeof term === 'string' && term.trim() !== '')) return 'no 的每一項都必須是非空字串';
+  
+  // 參數值裡的 -- 會被 Midjourney 當成另一個參數
+  const values = [aspectRatio, version, ...(Array.isArray(no) ? no : [no])];
+  if (values.some(value => typeof value === 'string' && value.includes('--'))) return '參數值不能包含 --';
+  return null;
+}
+
+/**
+ * 把 prompt 與參數組成 Midjourney 指令
+ * e.g. "a cat --ar 16:9 --v 7 --stylize 250 --raw --no text, watermark"
+ */
+function buildImaginePrompt(prompt, parameters = {}) {
+  const { aspectRatio, version, stylize, chaos, seed, raw, no } = parameters;
+  const parts = [prompt.trim()];
+  
+  if (aspectRatio) parts.push(`--ar ${aspectRatio}`);
+  if (version !== undefined) {
+    parts.push(String(version).startsWith('niji') ? `--${version}` : `--v ${version}`);
+  }
+  if (stylize !== undefined) parts.push(`--stylize ${stylize}`);
+  if (chaos !== undefined) parts.push(`--chaos ${chaos}`);
+  if (seed !== undefined) parts.push(`--seed ${seed}`);
+  if (raw) parts.push('--raw');
+  if (no && no.length > 0) parts.push(`--no ${Array.isArray(no) ? no.join(', ') : no}`);
+  
+  return parts.join(' ');
+}
+
+/**
+ * 文字生成圖片
+ * @param {string} prompt - 描述文字
+ * @param {object} parameters - { aspectRatio, version, stylize, chaos, seed, raw, no }
+ * @param {object} meta - 寫入任務記錄的額外欄位 { callbackUrl }
+ */
+async function imagineImage(prompt, parameters = {}, meta = {}) {
+  if (!page || !isLoggedIn) {
+    throw new Error('請先登入 Midjourney');
+  }
+
+  const fullPrompt = buildImaginePrompt(prompt, parameters);
+  console.log(`🖼️ Imagine: ${fullPrompt}`);
+
+  // 確保在 imagine 頁面
+  if (!page.url().includes('/imagine')) {
+    await navigateToMidjourney();
+  }
+
+  const textbox = await locate('prompt.input');
+  if (!textbox) {
+    throw new Error('找不到 prompt 輸入框');
+  }
+  await textbox.fill(fullPrompt);
+
+  const knownIds = await snapshotJobIds();
+  const submitted = waitForSubmittedJobIds();
+  await textbox.press('Enter');
+
+  // 等待任務開始，優先使用網路層捕捉到的 job ID
+  const [networkJobId] = await submitted;
+  const jobId = networkJobId || await findNewJobId(knownIds);
+  
+  const fields = { source: 'imagine', kind: 'image', prompt: fullPrompt, parameters, ...meta };
+  const trackedId = jobId || trackTemporaryJob(knownIds, fields);
+  if (jobId) {
+    trackJob(jobId, fields);
+  }
+  
+  startProgressMonitor();
+  broadcast({ type: 'job_started', jobId: trackedId, message: '圖片生成任務已開始' });
+  return { success: true, jobId: trackedId, prompt: fullPrompt };
+}
+
+/**
+ * 任務詳情頁上的操作：每個 mode 對應選擇器設定檔中的按鈕
+ */
+const JOB_ACTIONS = {
+  upscale: { modes: { subtle: 'actions.upscale.subtle', creative: 'actions.upscale.creative' }, defaultMode: 'subtle' },
+  vary: { modes: { subtle: 'actions.vary.subtle', strong: 'actions.vary.strong', region: 'actions.vary.region' }, defaultMode: 'subtle' },
+  reroll: { modes: { rerun: 'actions.reroll.rerun' }, defaultMode: 'rerun' },
+  pan: {
+    modes: { left: 'actions.pan.left', right: 'actions.pan.right', up: 'actions.pan.up', down: 'actions.pan.down' },
+    defaultMode: null,
+  },
+};
+
+/**
+ * 在任務詳情頁點擊指定的操作按鈕
+ * @param {string} name - 選擇器名稱，例如 actions.upscale.subtle
+ */
+async function clickJobActionButton(name) {
+  const button = await locate(name);
+  if (!button) {
+    return { clicked: false, selector: name };
+  }
+  await button.evaluate(el => el.click());
+  return { clicked: true, selector: name };
+}
+
+/**
+ * 在 Vary (Region) 編輯器中框選區域並提交
+ * @param {object} region - 相對座標 { x, y, width, height }，0-1
+ */
+async function submitRegionEditor(region, prompt) {
+  await page.waitForTimeout(1500);
+  
+  // 編輯器中最大的 canvas 就是圖片
+  const canvases = await page.$$(selectorCss('regionEditor.canvas'));
+  let target = null;
+  let targetArea = 0;
+  for (const canvas of canvases) {
+    const box = await canvas.boundingBox();
+    if (box && box.width * box.height > targetArea) {
+      target = box;
+      targetArea = box.width * box.height;
+    }
+  }
+  if (!target) {
+    throw new Error('找不到 Vary Region 編輯器');
+  }
+  
+  const startX = target.x + target.width * region.x;
+  const startY = target.y + target.height * region.y;
+  await page.mouse.move(startX, startY);
+  await page.mouse.down();
+  await page.mouse.move(startX + target.width * region.width, startY + target.height * region.height, { steps: 10 });
+  await page.mouse.up();
+  
+  if (prompt) {
+    const textbox = await locate('regionEditor.prompt');
+    if (textbox) await textbox.fill(prompt);
+  }
+  
+  const submitBtn = await locate('regionEditor.submit');
+  if (!submitBtn) {
+    throw new Error('找不到 Vary Region 提交按鈕');
+  }
+  await submitBtn.click();
+}
+
+/**
+ * 對現有任務執行 upscale / vary / reroll / pan
+ * @param {string} parentId - 原始任務 ID
+ * @param {string} action - JOB_ACTIONS 的 key
+ * @param {object} params - { index, mode, region, prompt }
+ * @param {object} meta - 寫入任務記錄的額外欄位 { callbackUrl }
+ */
+async function runJobAction(parentId, action, params = {}, meta = {}) {
+  if (!page || !isLoggedIn) {
+    throw new Error('請先登入 Midjourney');
+  }
+
+  const { modes, defaultMode } = JOB_ACTIONS[action];
+  const { index = 0, region, prompt } = params;
+  const mode = params.mode || defaultMode;
+  const jobId = resolveJobAlias(parentId);
+  console.log(`🎛️ ${action} (${mode}) -> ${jobId} #${index}`);
+
+  // 前往任務詳情頁（與 Animate 按鈕同一頁）
+  await page.goto(`https://www.midjourney.com/jobs/${jobId}?index=${index}`, {
+    timeout: 60000,
+    waitUntil: 'domcontentloaded'
+  });
+  await page.waitForTimeout(3000);
+
+  const knownIds = await snapshotJobIds();
+  const submitted = waitForSubmittedJobIds(mode === 'region' ? 60000 : 10000);
+  const clicked = await clickJobActionButton(modes[mode]);
+  console.log(`   結果: ${JSON.stringify(clicked)}`);
+  if (!clicked.clicked) {
+    throw new Error(`找不到 ${action} ${mode} 按鈕`);
+  }
+  
+  if (mode === 'region') {
+    await submitRegionEditor(region, prompt);
+  }
+
+  // 等待任務開始，優先使用網路層捕捉到的 job ID
+  const [networkJobId] = await submitted;
+  const newJobId = networkJobId || await findNewJobId([...knownIds, jobId]);
+  
+  const fields = {
+    source: 'action',
+    kind: 'image',
+    action,
+    mode,
+    parentJob: jobId,
+    parentIndex: index,
+    imageCount: action === 'upscale' ? 1 : 4,
+    ...meta,
+  };
+  const trackedId = newJobId || trackTemporaryJob([...knownIds, jobId], fields);
+  if (newJobId) {
+    trackJob(newJobId, fields);
+  }
+  
+  await returnToImaginePage();
+  
+  startProgressMonitor();
+  broadcast({ type: 'job_started', jobId: trackedId, message: `${action} 任務已開始` });
+  return { success: true, jobId: trackedId, parentJob: jobId, action, mode, index };
+}
+
+/**
+ * 延長已完成的影片
+ * @param {string} parentId - 原始影片任務 ID
+ * @param {object} params - { index, mode: 'auto' | 'manual', prompt }
+ * @param {object} meta - 寫入任務記錄的額外欄位 { callbackUrl }
+ */
+async function extendVideo(parentId, params = {}, meta = {}) {
+  if (!page || !isLoggedIn) {
+    throw new Error('請先登入 Midjourney');
+  }
+
+  const { index = 0, mode = 'auto', prompt } = params;
+  const jobId = resolveJobAlias(parentId);
+  console.log(`⏩ extend (${mode}) -> ${jobId} #${index}`);
+
+  // 前往影片詳情頁
+  await page.goto(`https://www.midjourney.com/jobs/${jobId}?index=${index}`, {
+    timeout: 60000,
+    waitUntil: 'domcontentloaded'
+  });
+  await page.waitForTimeout(3000);
+
+  const knownIds = await snapshotJobIds();
+  const submitted = waitForSubmittedJobIds(mode === 'manual' ? 20000 : 10000);
+  const clicked = await clickJobActionButton(mode === 'manual' ? 'actions.extend.manual' : 'actions.extend.auto');
+  console.log(`   結果: ${JSON.stringify(clicked)}`);
+  if (!clicked.clicked) {
+    throw new Error(`找不到 Extend ${mode} 按鈕`);
+  }
+  
+  // Manual 會把原本的 prompt 帶入輸入框，可改寫後按 Enter 提交
+  if (mode === 'manual') {
+    await page.waitForTimeout(1000);
+    const textbox = await locate('prompt.input');
+    if (!textbox) {
+      throw new Error('找不到 prompt 輸入框');
+    }
+    if (prompt) {
+      await textbox.fill(prompt);
+    }
+    await textbox.press('Enter');
+  }
+
+  // 等待任務開始，優先使用網路層捕捉到的 job ID
+  const [networkJobId] = await submitted;
+  const newJobId = networkJobId || await findNewJobId([...knownIds, jobId]);
+  
+  const fields = {
+    source: 'extend',
+    mode,
+    prompt: prompt || null,
+    parentJob: jobId,
+    parentIndex: index,
+    ...meta,
+  };
+  const trackedId = newJobId || trackTemporaryJob([...knownIds, jobId], fields);
+  if (newJobId) {
+    trackJob(newJobId, fields);
+  }
+  
+  await returnToImaginePage();
+  
+  startProgressMonitor();
+  broadcast({ type: 'job_started', jobId: trackedId, message: '影片延長任務已開始' });
+  return { success: true, jobId: trackedId, parentJob: jobId, mode, index };
+}
+
+/**
+ * 獲取任務狀態
+ */
+async function getJobStatus(requestedId) {
+  const jobId = resolveJobAlias(requestedId);
+  if (jobStore.has(jobId)) {
+    return jobStore.get(jobId);
+  }
+  
+  if (!page) {
+    return { found: false };
+  }
+
+  // 從頁面獲取狀態
+  const jobInfo = await page.evaluate(({ id, cardSelector, statusSelector }) => {
+    const links = document.querySelectorAll(`a[href*="/jobs/${id}"]`);
+    if (links.length > 0) {
+      const parent = links[0].closest(cardSelector);
+      const progress = parent?.querySelector(statusSelector);
+      return {
+        found: true,
+        progress: progress?.textContent || 'unknown',
+      };
+    }
+    return { found: false };
+  }, { id: jobId, cardSelector: selectorCss('jobs.card'), statusSelector: selectorCss('jobs.status') });
+
+  return jobInfo;
+}
+
+/**
+ * 獲取影片 URL
+ */
+async function getVideoUrl(jobId, index = 0) {
+  // Midjourney 影片 CDN 格式
+  const videoUrl = `https://cdn.midjourney.com/video/${jobId}/${index}_640_N.webp`;
+  
+  // 驗證影片是否存在
+  try {
+    const response = await fetch(videoUrl, { method: 'HEAD' });
+    if (response.ok) {
+      return {
+        success: true,
+        videoUrl,
+        thumbnailUrl: `https://cdn.midjourney.com/video/${jobId}/${index}_640_N.webp?frame=last`,
+      };
+    }
+  } catch (e) {
+    // 影片可能還在生成中
+  }
+
+  return { success: false, message: '影片尚未準備好' };
+}
+
+/**
+ * 從頁面上的任務連結抓取影片（未指定 Job ID 時取頁面上最新的任務）
+ */
+async function findPageVideos(targetJobId) {
+  const videos = await page.evaluate((jobLinkSelector) => {
+    const results = [];
+    const debug = [];
+    const jobsMap = new Map(); // 用 Map 按 Job ID 分組
+
+    // ========== 從 jobs 連結提取 Job ID ==========
+    const jobLinks = document.querySelectorAll(jobLinkSelector);
+    debug.push(`找到 ${jobLinks.length} 個 jobs 連結`);
+
+    // 按出現順序記錄 Job ID（頁面上最先出現的是最新的）
+    const jobOrder = [];
+
+    jobLinks.forEach(link => {
+      const href = link.getAttribute('href');
+      const match = href?.match(/\/jobs\/([a-f0-9-]+)\?index=(\d+)/);
+      if (match) {
+        const jobId = match[1];
+        const index = parseInt(match[2]);
+
+        // 記錄 Job 出現順序
+        if (!jobOrder.includes(jobId)) {
+          jobOrder.push(jobId);
+        }
+
+        // 按 Job ID 分組
+        if (!jobsMap.has(jobId)) {
+          jobsMap.set(jobId, []);
+        }
+
+        const videoUrl = `https://cdn.midjourney.com/video/${jobId}/${index}.mp4`;
+        const thumbUrl = `https://cdn.midjourney.com/video/${jobId}/${index}_640_N.webp?frame=last`;
+
+        // 避免重複
+        const existing = jobsMap.get(jobId);
+        if (!existing.some(v => v.index === index)) {
+          existing.push({
+            url: videoUrl,
+            thumbnail: thumbUrl,
+            jobId: jobId,
+            index: index,
+            type: 'job-link'
+          });
+        }
+      }
+    });
+
+    debug.push(`提取到 ${jobsMap.size} 個不同的 Job ID`);
+    debug.push(`Job 順序: ${jobOrder.slice(0, 3).join(', ')}...`);
+
+    return { jobsMap: Object.fromEntries(jobsMap), jobOrder, debug };
+  }, selectorCss('jobs.link'));
+
+  // 輸出調試資訊
+  console.log('🔍 影片抓取調試:');
+  videos.debug.forEach(d => console.log(`   ${d}`));
+
+  // 取最新的 Job（頁面上第一個出現的）
+  const latestJobId = targetJobId || videos.jobOrder[0];
+  if (!latestJobId) {
+    return { jobId: null, videos: [] };
+  }
+  
+  console.log(`📹 選擇最新 Job: ${latestJobId}`);
+  
+  // 取該 Job 的所有影片並按 index 排序
+  const jobVideos = videos.jobsMap[latestJobId] || [];
+  const sortedVideos = jobVideos.sort((a, b) => a.index - b.index);
+
+  console.log('📹 該 Job 的影片:');
+  sortedVideos.forEach((v, i) => console.log(`   [${i + 1}] index=${v.index}: ${v.url}`));
+  
+  return { jobId: latestJobId, videos: sortedVideos };
+}
+
+/**
+ * 獲取用戶的所有創作
+ */
+async function getUserCreations() {
+  if (!page || !isLoggedIn) {
+    throw new Error('請先登入 Midjourney');
+  }
+
+  // 從頁面獲取創作列表
+  const creations = await page.evaluate((jobLinkSelector) => {
+    const items = [];
+    const links = document.querySelectorAll(jobLinkSelector);
+    
+    links.forEach(link => {
+      const href = link.getAttribute('href');
+      const img = link.querySelector('img');
+      const match = href.match(/\/jobs\/([a-f0-9-]+)\?index=(\d+)/);
+      
+      if (match && img) {
+        items.push({
+          jobId: match[1],
+          index: parseInt(match[2]),
+          thumbnailUrl: img.src,
+          isVideo: img.src.includes('/video/'),
+        });
+      }
+    });
+    
+    return items;
+  }, selectorCss('jobs.link'));
+
+  return creations;
+}
+
+// ==================== 頁面鎖 ====================
+
+let pageLock = Promise.resolve(); // 所有操作共用 page 的流程依序排隊
+
+/**
+ * 包裝會導航或點擊共用 page 的流程：同一時間只有一個流程持有頁面
+ * 佇列與直接路由因此不會互相導航走，submitWaiters 也不會把 ID 交給別的請求
+ */
+function withPageLock(run) {
+  return (...args) => {
+    const result = pageLock.then(() => run(...args));
+    pageLock = result.catch(() => {});
+    return result;
+  };
+}
+
+// ==================== Playwright Tracing ====================
+
+const tracedContexts = new WeakSet(); // 已呼叫 tracing.start() 的 context
+let traceActive = false; // 同一個 context 同時只能有一個 trace chunk
+
+/**
+ * 包裝生成流程：config.tracing 開啟時在 tracing 視窗中執行
+ * 流程結束後（成功或失敗），依結果或錯誤中的 jobId 保存 trace
+ * 已有 trace 在錄製時直接執行，不錄製
+ */
+function traced(run) {
+  return async (...args) => {
+    if (!config.tracing || !page || traceActive) {
+      return await run(...args);
+    }
+    
+    const context = page.context();
+    traceActive = true;
+    try {
+      if (!tracedContexts.has(context)) {
+        await context.tracing.start({ screenshots: true, snapshots: true });
+        tracedContexts.add(context);
+      }
+      await context.tracing.startChunk({ title: run.name });
+    } catch (e) {
+      console.log('⚠️ 無法開始 trace:', e.message);
+      traceActive = false;
+      return await run(...args);
+    }
+    
+    let jobId = null;
+    try {
+      const result = await run(...args);
+      jobId = result?.jobId || null;
+      return result;
+    } catch (error) {
+      jobId = error.jobId || null;
+      throw error;
+    } finally {
+      await saveTrace(context, jobId).catch(e => console.log('⚠️ 無法保存 trace:', e.message));
+      traceActive = false;
+    }
+  };
+}
+
+/**
+ * 結束 trace chunk，有任務時保存到 TRACES_DIR 並寫入任務記錄
+ */
+async function saveTrace(context, jobId) {
+  // 臨時 ID 可能已升級為真實 ID
+  const job = jobId && jobStore.get(resolveJobAlias(jobId));
+  if (!job) {
+    await context.tracing.stopChunk();
+    return;
+  }
+  
+  const file = `${job.id}.zip`;
+  const filePath = join(TRACES_DIR, file);
+  await context.tracing.stopChunk({ path: filePath });
+  
+  updateJob(job.id, { trace: { file, size: statSync(filePath).size, recordedAt: new Date().toISOString() } });
+  pruneTraces();
+  console.log(`🎥 已保存 trace (${job.id})`);
+}
+
+/**
+ * 只保留最近的 traceRetention 個 trace
+ */
+function pruneTraces() {
+  const traces = readdirSync(TRACES_DIR)
+    .filter(name => name.endsWith('.zip'))
+    .map(name => ({ name, mtimeMs: statSync(join(TRACES_DIR, name)).mtimeMs }))
+    .sort((a, b) => b.mtimeMs - a.mtimeMs);
+  for (const { name } of traces.slice(Math.max(1, config.traceRetention))) {
+    rmSync(join(TRACES_DIR, name), { force: true });
+  }
+}
+
+// ==================== 生成驅動 ====================
+//
+// REST 路由、佇列與素材存檔只透過 driver 操作，不直接碰 page。
+// 每個 driver 提供相同的方法：
+//   name, isConnected(), isReady(), checkLogin()
+//   uploadImage(localPath, options, meta), uploadKeyframes(startPath, endPath, options, meta)
+//   generateVideo(imageUrl, options, meta), animate(jobIdOrUrl, meta), imagine(prompt, parameters, meta)
+//   runAction(parentId, action, params, meta), extend(parentId, params, meta)
+//   waitForVideo(jobId), cancel(jobId), getCreations(), getVideoUrl(jobId, index), findVideos(jobId)
+//   startProgress(), videoUrls(jobId), imageUrls(jobId, count), assetTargets(job), downloadAsset(url)
+
+/**
+ * 真實的 Midjourney 網頁自動化（Playwright）
+ */
+const playwrightDriver = {
+  name: 'playwright',
+  isConnected: () => Boolean(page),
+  isReady: () => Boolean(page && isLoggedIn),
+  checkLogin: checkLoginStatus,
+  // 生成流程持有頁面鎖，並在 config.tracing 開啟時錄製 trace
+  uploadImage: withPageLock(traced(uploadLocalImageAndAnimate)),
+  uploadKeyframes: withPageLock(traced(uploadKeyframesAndAnimate)),
+  generateVideo: withPageLock(traced(generateVideoFromImage)),
+  animate: withPageLock(traced(animateExistingImage)),
+  imagine: withPageLock(traced(imagineImage)),
+  runAction: withPageLock(traced(runJobAction)),
+  extend: withPageLock(traced(extendVideo)),
+  waitForVideo: waitForVideoComplete,
+  cancel: withPageLock(cancelJobInUi),
+  getCreations: getUserCreations,
+  getVideoUrl,
+  findVideos: findPageVideos,
+  startProgress: startProgressMonitor,
+  videoUrls: buildVideoUrls,
+  imageUrls: buildImageUrls,
+  assetTargets: collectAssetTargets,
+  downloadAsset,
+};
+
+/**
+ * 模擬的生成流程，不需要瀏覽器與帳號（staging / demo 用）
+ * 任務以固定間隔推進進度，完成後提供本地產生的佔位圖
+ */
+function createSimulatedDriver() {
+  const timers = new Map(); // jobId -> interval
+  
+  // 推進任務進度直到完成
+  const tick = (jobId) => {
+    if (timers.has(jobId)) return;
+    
+    timers.set(jobId, setInterval(() => {
+      const job = jobStore.get(jobId);
+      if (!job || !currentJobs.has(jobId)) {
+        clearInterval(timers.get(jobId));
+        timers.delete(jobId);
+        return;
+      }
+      
+      const progress = Math.min(100, (job.progress || 0) + SIMULATED_PROGRESS_STEP);
+      if (progress < 100) {
+        updateJob(jobId, { progress, status: 'processing' });
+        broadcast({ type: 'progress', jobId, progress, status: 'processing', source: 'simulated' });
+        return;
+      }
+      
+      clearInterval(timers.get(jobId));
+      timers.delete(jobId);
+      announceJobComplete(jobId);
+    }, SIMULATED_TICK_MS));
+  };
+  
+  // 建立模擬任務
+  const startJob = (fields, message) => {
+    const jobId = randomUUID();
+    trackJob(jobId, { ...fields, driver: 'simulated' });
+    broadcast({ type: 'job_started', jobId, message });
+    tick(jobId);
+    return jobId;
+  };
+  
+  const parseOrThrow = (options, defaults) => {
+    const { settings, error } = parseVideoOptions(options, defaults);
+    if (error) {
+      throw new Error(error);
+    }
+    return settings;
+  };
+  
+  const requireFile = (filePath) => {
+    const absolutePath = resolve(filePath);
+    if (!existsSync(absolutePath)) {
+      throw new Error(`找不到檔案: ${absolutePath}`);
+    }
+    return absolutePath;
+  };
+  
+  const mediaUrl = (jobId, file) => `/simulated/media/${jobId}/${file}`;
+  
+  const driver = {
+    name: 'simulated',
+    isConnected: () => true,
+    isReady: () => true,
+    checkLogin: async () => true,
+    
+    async uploadImage(localPath, options = {}, meta = {}) {
+      const settings = parseOrThrow(options, { loop: true });
+      const absolutePath = requireFile(localPath);
+      const jobId = startJob({ source: 'upload', localPath: absolutePath, options, settings, ...meta }, '影片生成任務已開始');
+      return { success: true, jobId, settings, message: '影片生成任務已開始' };
+    },
+    
+    async uploadKeyframes(startPath, endPath, options = {}, meta = {}) {
+      const { loop, ...frameOptions } = options || {};
+      const settings = parseOrThrow(frameOptions, { loop: false });
+      const startFrame = requireFile(startPath);
+      const endFrame = requireFile(endPath);
+      const jobId = startJob({
+        source: 'keyframes',
+        localPath: startFrame,
+        endFramePath: endFrame,
+        options,
+        settings,
+        ...meta
+      }, '影片生成任務已開始');
+      return { success: true, jobId, settings, message: '影片生成任務已開始' };
+    },
+    
+    async generateVideo(imageUrl, options = {}, meta = {}) {
+      const settings = parseOrThrow(options);
+      const jobId = startJob({ source: 'generate', imageUrl, settings, ...meta }, '影片生成任務已開始');
+      return { success: true, jobId, settings };
+    },
+    
+    async animate(jobIdOrUrl, meta = {}) {
+      const settings = { ...VIDEO_DEFAULTS };
+      const jobId = startJob({ source: 'animate', parentJob: jobIdOrUrl || null, settings, ...meta }, '動畫任務已開始');
+      return { success: true, jobId, settings };
+    },
+    
+    async imagine(prompt, parameters = {}, meta = {}) {
+      const fullPrompt = buildImaginePrompt(prompt, parameters);
+      const jobId = startJob({ source: 'imagine', kind: 'image', prompt: fullPrompt, parameters, ...meta }, '圖片生成任務已開始');
+      return { success: true, jobId, prompt: fullPrompt };
+    },
+    
+    async runAction(parentId, action, params = {}, meta = {}) {
+      const { index = 0 } = params;
+      const mode = params.mode || JOB_ACTIONS[action].defaultMode;
+      const parentJob = resolveJobAlias(parentId);
+      const jobId = startJob({
+        source: 'action',
+        kind: 'image',
+        action,
+        mode,
+        parentJob,
+        parentIndex: index,
+        imageCount: action === 'upscale' ? 1 : 4,
+        ...meta,
+      }, `${action} 任務已開始`);
+      return { success: true, jobId, parentJob, action, mode, index };
+    },
+    
+    async extend(parentId, params = {}, meta = {}) {
+      const { index = 0, mode = 'auto', prompt } = params;
+      const parentJob = resolveJobAlias(parentId);
+      const jobId = startJob({
+        source: 'extend',
+        mode,
+        prompt: prompt || null,
+        parentJob,
+        parentIndex: index,
+        ...meta,
+      }, '影片延長任務已開始');
+      return { success: true, jobId, parentJob, mode, index };
+    },
+    
+    async waitForVideo(requestedId) {
+      const outcome = await waitForJobOutcome(requestedId);
+      const jobId = resolveJobAlias(requestedId);
+      if (outcome !== 'complete') {
+        return { success: false, jobId, status: outcome, error: jobStore.get(jobId)?.error || null };
+      }
+      const videos = [];
+      for (const { index } of driver.videoUrls(jobId)) {
+        videos.push(await driver.getVideoUrl(jobId, index));
+      }
+      return { success: true, jobId, status: outcome, videos: videos.filter(v => v.success) };
+    },
+    
+    // 模擬任務沒有外部狀態，停止推進即可
+    async cancel(jobId) {
+      clearInterval(timers.get(jobId));
+      timers.delete(jobId);
+      return true;
+    },
+    
+    async getCreations() {
+      return [...jobStore.values()]
+        .filter(job => job.driver === 'simulated' && job.status === 'complete')
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .flatMap(job => (job.kind === 'image' ? job.images : job.videos).map(media => ({
+          jobId: job.id,
+          index: media.index,
+          thumbnailUrl: media.thumbnail || media.url,
+          isVideo: job.kind !== 'image',
+        })));
+    },
+    
+    async getVideoUrl(jobId, index = 0) {
+      const job = jobStore.get(resolveJobAlias(jobId));
+      if (job?.status !== 'complete' || job.kind === 'image') {
+        return { success: false, message: '影片尚未準備好' };
+      }
+      return {
+        success: true,
+        videoUrl: mediaUrl(job.id, `${index}.svg`),
+        thumbnailUrl: mediaUrl(job.id, `${index}_thumb.svg`),
+      };
+    },
+    
+    async findVideos(targetJobId) {
+      const job = targetJobId
+        ? jobStore.get(resolveJobAlias(targetJobId))
+        : [...jobStore.values()]
+          .filter(j => j.driver === 'simulated' && j.kind !== 'image' && j.status === 'complete')
+          .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+      if (!job) {
+        return { jobId: null, videos: [] };
+      }
+      return { jobId: job.id, videos: job.videos.map(video => ({ ...video, jobId: job.id, type: 'simulated' })) };
+    },
+    
+    // 重啟後繼續推進未完成的模擬任務
+    startProgress() {
+      for (const jobId of currentJobs.keys()) {
+        if (jobStore.get(jobId)?.driver === 'simulated') tick(jobId);
+      }
+    },
+    
+    videoUrls(jobId) {
+      const batchSize = jobStore.get(jobId)?.settings?.batchSize || 4;
+      return Array.from({ length: batchSize }, (_, index) => ({
+        index,
+        url: mediaUrl(jobId, `${index}.svg`),
+        thumbnail: mediaUrl(jobId, `${index}_thumb.svg`),
+      }));
+    },
+    
+    imageUrls(jobId, count = 4) {
+      return Array.from({ length: count }, (_, index) => ({
+        index,
+        url: mediaUrl(jobId, `0_${index}.svg`),
+      }));
+    },
+    
+    assetTargets(job) {
+      const targets = [];
+      for (const image of job.images || []) {
+        targets.push({ kind: 'image', index: image.index, url: image.url, file: `0_${image.index}.svg` });
+      }
+      for (const video of job.videos || []) {
+        targets.push({ kind: 'video', index: video.index, url: video.url, file: `${video.index}.svg` });
+        targets.push({ kind: 'thumbnail', index: video.index, url: video.thumbnail, file: `${video.index}_thumb.svg` });
+      }
+      return targets;
+    },
+    
+    async downloadAsset(url) {
+      const match = url.match(/\/simulated\/media\/([^/]+)\/([^/]+)$/);
+      return match ? Buffer.from(renderPlaceholderSvg(match[1], match[2])) : null;
+    },
+  };
+  
+  return driver;
+}
+
+/**
+ * 模擬任務的佔位圖（影片為會動的 SVG）
+ * @param {string} jobId - 任務 ID
+ * @param {string} file - 0.svg（影片）、0_thumb.svg（縮圖）、0_0.svg（圖片）
+ */
+function renderPlaceholderSvg(jobId, file) {
+  const animated = /^\d+\.svg$/.test(file);
+  const label = file.replace('.svg', '');
+  const hue = parseInt(createHash('sha256').update(jobId).digest('hex').slice(0, 2), 16) * 360 / 256;
+  const escapeXml = text => text.replace(/[<>&"]/g, c => `&#${c.charCodeAt(0)};`);
+  
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="640" height="360" viewBox="0 0 640 360">
+  <rect width="640" height="360" fill="hsl(${hue.toFixed(0)}, 45%, 30%)"/>
+  <circle cx="80" cy="180" r="40" fill="hsl(${hue.toFixed(0)}, 70%, 65%)">${animated
+    ? '<animate attributeName="cx" values="80;560;80" dur="5s" repeatCount="indefinite"/>'
+    : ''}</circle>
+  <text x="320" y="300" font-family="sans-serif" font-size="20" fill="#fff" text-anchor="middle">simulated ${escapeXml(label)} · ${escapeXml(jobId.slice(0, 8))}</text>
+</svg>`;
+}
+
+/**
+ * 依設定選擇驅動
+ */
+function selectDriver(name) {
+  if (name === 'simulated') {
+    return createSimulatedDriver();
+  }
+  if (name !== 'playwright') {
+    throw new Error(`未知的生成驅動: ${name}`);
+  }
+  return playwrightDriver;
+}
+
+const driver = selectDriver(GENERATOR_DRIVER);
+console.log(`🚗 生成驅動: ${driver.name}`);
+
+// ==================== 上傳管理 ====================
+//
+// /upload 的檔案以不透明的 upload ID 對外，生成路由只接受 ID，
+// 或在開啟 allowUploadPaths 時接受 UPLOAD_DIR 內的路徑
+
+const uploadStore = loadUploads(); // upload ID -> { id, fileName, originalName, mimetype, size, sha256, width, height, processing, original, dedupKey, createdAt, lastUsedAt }
+
+/**
+ * 從磁碟載入上傳記錄
+ */
+function loadUploads() {
+  if (!existsSync(UPLOADS_FILE)) return new Map();
+  
+  try {
+    const records = JSON.parse(readFileSync(UPLOADS_FILE, 'utf-8'));
+    return new Map(records.map(record => [record.id, record]));
+  } catch (e) {
+    console.log('⚠️ 無法讀取上傳記錄:', e.message);
+    return new Map();
+  }
+}
+
+function saveUploads() {
+  try {
+    writeFileSync(UPLOADS_FILE, JSON.stringify([...uploadStore.values()], null, 2));
+  } catch (e) {
+    console.log('⚠️ 無法保存上傳記錄:', e.message);
+  }
+}
+
+/**
+ * 由檔頭判斷圖片格式與尺寸（PNG / JPEG / GIF / WebP，HEIC / AVIF / TIFF 只判斷格式）
+ * @returns {{ mimetype: string, width: number|null, height: number|null }|null} 無法辨識時回傳 null
+ */
+function probeImage(buffer) {
+  if (buffer.length >= 24 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+    return { mimetype: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  
+  const head = buffer.toString('latin1', 0, 16);
+  if (buffer.length >= 10 && (head.startsWith('GIF87a') || head.startsWith('GIF89a'))) {
+    return { mimetype: 'image/gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  
+  if (buffer.length >= 30 && head.startsWith('RIFF') && head.slice(8, 12) === 'WEBP') {
+    const chunk = head.slice(12, 16);
+    if (chunk === 'VP8 ') {
+      return { mimetype: 'image/webp', width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { mimetype: 'image/webp', width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { mimetype: 'image/webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return { mimetype: 'image/webp', width: null, height: null };
+  }
+  
+  if (buffer.length >= 4 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    // 找 SOF 區段（C0-CF，排除 C4 DHT、C8、CC DAC）
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xFF) break;
+      const marker = buffer[offset + 1];
+      if (marker === 0xFF) {
+        offset++;
+        continue;
+      }
+      if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+        return { mimetype: 'image/jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return { mimetype: 'image/jpeg', width: null, height: null };
+  }
+  
+  if (buffer.length >= 12 && head.slice(4, 8) === 'ftyp') {
+    const brand = head.slice(8, 12);
+    if (brand === 'avif' || brand === 'avis') {
+      return { mimetype: 'image/avif', width: null, height: null };
+    }
+    if (['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'hevm', 'hevs', 'mif1', 'msf1'].includes(brand)) {
+      return { mimetype: 'image/heic', width: null, height: null };
+    }
+  }
+  
+  if (head.startsWith('II*\0') || head.startsWith('MM\0*')) {
+    return { mimetype: 'image/tiff', width: null, height: null };
+  }
+  
+  return null;
+}
+
+/**
+ * 解析 /upload 的前處理參數（multipart 欄位都是字串）
+ * @returns {{ settings: object }|{ error: string }}
+ */
+function parseUploadProcessing(params = {}) {
+  const settings = { ...UPLOAD_PROCESSING_DEFAULTS };
+  const given = (key) => params[key] !== undefined && params[key] !== '';
+  
+  if (given('maxEdge')) {
+    const maxEdge = Number(params.maxEdge);
+    if (!Number.isInteger(maxEdge) || maxEdge < IMAGE_MIN_EDGE || maxEdge > IMAGE_MAX_EDGE) {
+      return { error: `maxEdge 必須是 ${IMAGE_MIN_EDGE}-${IMAGE_MAX_EDGE} 的整數` };
+    }
+    settings.maxEdge = maxEdge;
+  }
+  if (given('aspectRatio')) {
+    const match = String(params.aspectRatio).match(/^(\d+):(\d+)$/);
+    if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+      return { error: 'aspectRatio 格式錯誤（例如 16:9）' };
+    }
+    settings.aspectRatio = `${Number(match[1])}:${Number(match[2])}`;
+  }
+  for (const [key, values] of [['fit', ['pad', 'crop']], ['format', ['auto', 'png', 'jpeg']]]) {
+    if (!given(key)) continue;
+    if (!values.includes(params[key])) {
+      return { error: `${key} 必須是 ${values.join(' / ')}` };
+    }
+    settings[key] = params[key];
+  }
+  if (given('background')) {
+    if (!/^#[0-9a-f]{6}$/i.test(params.background)) {
+      return { error: 'background 必須是 #rrggbb 格式' };
+    }
+    settings.background = params.background;
+  }
+  
+  return { settings };
+}
+
+/**
+ * 計算輸出尺寸：先依 aspectRatio 補邊或裁切，再限制最長邊（不放大）
+ */
+function computeTargetSize(width, height, { aspectRatio, fit, maxEdge }) {
+  let targetWidth = width;
+  let targetHeight = height;
+  
+  if (aspectRatio) {
+    const [w, h] = aspectRatio.split(':').map(Number);
+    const ratio = w / h;
+    const wider = width / height > ratio;
+    if (fit === 'crop') {
+      targetWidth = wider ? Math.round(height * ratio) : width;
+      targetHeight = wider ? height : Math.round(width / ratio);
+    } else {
+      targetWidth = wider ? width : Math.round(height * ratio);
+      targetHeight = wider ? Math.round(width / ratio) : height;
+    }
+  }
+  
+  if (maxEdge) {
+    const scale = Math.min(1, maxEdge / Math.max(targetWidth, targetHeight));
+    targetWidth = Math.max(1, Math.round(targetWidth * scale));
+    targetHeight = Math.max(1, Math.round(targetHeight * scale));
+  }
+  
+  return { width: targetWidth, height: targetHeight };
+}
+
+/**
+ * 驗證並前處理上傳的圖片，再記錄為 upload
+ * 檢查檔頭與解碼後的尺寸，不支援的格式轉成 PNG / JPEG，依參數縮放、補邊或裁切；
+ * 處理後的檔案才是送進 Midjourney 的版本，原檔保留在 original
+ * @param {object} file - multer 檔案 { filename, originalname, path }
+ * @param {object} settings - parseUploadProcessing 的結果
+ * @returns {Promise<{ record: object }|{ status: number, code: string, error: string }>}
+ */
+async function processUpload(file, settings = UPLOAD_PROCESSING_DEFAULTS, extra = {}) {
+  const reject = (status, code, error) => {
+    rmSync(file.path, { force: true });
+    return { status, code, error };
+  };
+  
+  const buffer = readFileSync(file.path);
+  const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+  const originalSha256 = sha256(buffer);
+  
+  // 同一個 key 上傳同樣的圖片與前處理參數時直接回傳既有的上傳（不沿用其他 key 的上傳）
+  const dedupKey = `${originalSha256}:${JSON.stringify(settings)}`;
+  const existing = [...uploadStore.values()]
+    .find(record => record.dedupKey === dedupKey && (record.apiKey || null) === (extra.apiKey || null)
+      && existsSync(join(UPLOAD_DIR, record.fileName)));
+  if (existing) {
+    rmSync(file.path, { force: true });
+    existing.lastUsedAt = new Date().toISOString();
+    saveUploads();
+    return { record: existing, deduplicated: true };
+  }
+  
+  const detected = probeImage(buffer);
+  if (!detected) {
+    return reject(415, 'UNSUPPORTED_IMAGE', '無法辨識的圖片格式（檔頭不符）');
+  }
+  
+  // 處理後的檔案最多再佔用約一份原檔大小
+  const quotaBytes = config.uploadQuotaMb * 1024 * 1024;
+  if (quotaBytes > 0 && cleanupUploads(buffer.length).usageBytes + buffer.length > quotaBytes) {
+    return reject(507, 'STORAGE_QUOTA_EXCEEDED', `上傳空間已滿（上限 ${config.uploadQuotaMb}MB）`);
+  }
+  
+  let source = buffer;
+  if (detected.mimetype === 'image/heic') {
+    // sharp 內建的 libheif 沒有 HEVC 解碼器
+    try {
+      source = Buffer.from(await convertHeic({ buffer, format: 'JPEG', quality: IMAGE_JPEG_QUALITY / 100 }));
+    } catch (e) {
+      return reject(422, 'INVALID_IMAGE', `無法解碼 HEIC: ${e.message}`);
+    }
+  }
+  
+  let metadata;
+  try {
+    metadata = await sharp(source, { limitInputPixels: IMAGE_MAX_PIXELS }).metadata();
+  } catch (e) {
+    return reject(422, 'INVALID_IMAGE', `無法解碼圖片: ${e.message}`);
+  }
+  
+  // EXIF 方向 5-8 會旋轉 90 度
+  const orientation = metadata.orientation || 1;
+  const width = orientation >= 5 ? metadata.height : metadata.width;
+  const height = orientation >= 5 ? metadata.width : metadata.height;
+  if (!width || !height || Math.min(width, height) < IMAGE_MIN_EDGE) {
+    return reject(422, 'IMAGE_TOO_SMALL', `圖片最短邊至少需要 ${IMAGE_MIN_EDGE}px`);
+  }
+  if (width * height > IMAGE_MAX_PIXELS) {
+    return reject(422, 'IMAGE_TOO_LARGE', `圖片超過 ${IMAGE_MAX_PIXELS / 1000000}MP`);
+  }
+  
+  let format = settings.format;
+  if (format === 'auto') {
+    format = MIDJOURNEY_IMAGE_TYPES.includes(detected.mimetype)
+      ? detected.mimetype.split('/')[1]
+      : (metadata.hasAlpha ? 'png' : 'jpeg');
+  }
+  const target = computeTargetSize(width, height, settings);
+  const resized = target.width !== width || target.height !== height;
+  const needsProcessing = source !== buffer || `image/${format}` !== detected.mimetype || orientation > 1 || resized;
+  
+  let variant = { buffer, mimetype: detected.mimetype, width, height };
+  if (needsProcessing) {
+    let pipeline = sharp(source, { limitInputPixels: IMAGE_MAX_PIXELS }).rotate();
+    if (resized) {
+      pipeline = pipeline.resize({
+        width: target.width,
+        height: target.height,
+        fit: settings.fit === 'crop' ? 'cover' : 'contain',
+        background: settings.background
+      });
+    }
+    if (format === 'png') {
+      pipeline = pipeline.png();
+    } else if (format === 'webp') {
+      pipeline = pipeline.webp({ quality: IMAGE_JPEG_QUALITY });
+    } else {
+      pipeline = pipeline.flatten({ background: settings.background }).jpeg({ quality: IMAGE_JPEG_QUALITY });
+    }
+    
+    try {
+      const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+      variant = { buffer: data, mimetype: `image/${format}`, width: info.width, height: info.height };
+    } catch (e) {
+      return reject(422, 'INVALID_IMAGE', `圖片處理失敗: ${e.message}`);
+    }
+  }
+  
+  // 原檔改用實際格式的副檔名
+  const originalFileName = `${file.filename}.${IMAGE_EXTENSIONS[detected.mimetype]}`;
+  renameSync(file.path, join(UPLOAD_DIR, originalFileName));
+  let fileName = originalFileName;
+  if (needsProcessing) {
+    fileName = `${file.filename}-processed.${IMAGE_EXTENSIONS[variant.mimetype]}`;
+    writeFileSync(join(UPLOAD_DIR, fileName), variant.buffer);
+  }
+  
+  const record = {
+    id: `upl_${randomBytes(12).toString('hex')}`,
+    fileName,
+    originalName: file.originalname,
+    mimetype: variant.mimetype,
+    size: variant.buffer.length,
+    sha256: sha256(variant.buffer),
+    width: variant.width,
+    height: variant.height,
+    processing: needsProcessing ? settings : null,
+    original: {
+      fileName: originalFileName,
+      mimetype: detected.mimetype,
+      size: buffer.length,
+      sha256: originalSha256,
+      width,
+      height,
+    },
+    ...extra,
+    dedupKey,
+    createdAt: new Date().toISOString(),
+  };
+  
+  uploadStore.set(record.id, record);
+  saveUploads();
+  return { record };
+}
+
+/**
+ * 把下載或解碼得到的圖片存入 UPLOAD_DIR，與 multipart 上傳走同一套檢查
+ * @param {Buffer} buffer - 圖片內容
+ * @param {string} originalName - 原始檔名
+ * @param {object} settings - parseUploadProcessing 的結果
+ * @param {object} extra - 寫入上傳記錄的額外欄位 { sourceUrl, apiKey }
+ */
+async function storeUploadBuffer(buffer, originalName, settings = UPLOAD_PROCESSING_DEFAULTS, extra = {}) {
+  if (buffer.length > UPLOAD_MAX_BYTES) {
+    return { status: 413, code: 'FILE_TOO_LARGE', error: `圖片超過 ${UPLOAD_MAX_BYTES / 1024 / 1024}MB` };
+  }
+  
+  const filename = newUploadFileName();
+  const path = join(UPLOAD_DIR, filename);
+  writeFileSync(path, buffer);
+  return await processUpload({ filename, originalname: originalName, path }, settings, extra);
+}
+
+/**
+ * 是否為內部網路位址（主機名稱不是 IP 時為 false，由 publicLookup 在解析時檢查）
+ */
+function isPrivateAddress(host) {
+  const address = host.replace(/^\[|\]$/g, '');
+  const family = isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS 解析時拒絕內部網路位址；連線直接使用檢查過的位址，解析結果無法在檢查後被換掉
+ */
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(Object.assign(new Error(`${hostname} 解析到內部網路位址`), { code: 'URL_NOT_ALLOWED' }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * 對公開網址發出請求（預設 GET，不自動轉址）
+ * @returns {Promise<import('http').IncomingMessage>}
+ */
+function requestPublicUrl(url, signal, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolvePromise, reject) => {
+    const request = (url.protocol === 'https:' ? httpsRequest : httpRequest)(url, { method, headers, lookup: publicLookup, signal }, resolvePromise);
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * 邊讀邊檢查大小
+ * @returns {Promise<Buffer|null>} 超過 maxBytes 時為 null
+ */
+async function readBodyLimited(body, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      return null;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * 下載圖片 URL（限制大小與時間）
+ * 每次轉址都重新檢查目標，內部網路位址一律拒絕；連線失敗不回報細節，避免被用來探測內部服務
+ * @returns {Promise<{ buffer: Buffer, originalName: string }|{ status: number, code: string, error: string }>}
+ */
+async function fetchRemoteImage(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    parsed = null;
+  }
+  if (!parsed || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+    return { status: 400, code: 'INVALID_URL', error: 'url 必須是 http(s) 網址' };
+  }
+  
+  const notAllowed = { status: 400, code: 'URL_NOT_ALLOWED', error: '不允許下載內部網路位址' };
+  const failed = { status: 502, code: 'FETCH_FAILED', error: '無法下載圖片' };
+  const tooLarge = { status: 413, code: 'FILE_TOO_LARGE', error: `圖片超過 ${UPLOAD_MAX_BYTES / 1024 / 1024}MB` };
+  const signal = AbortSignal.timeout(REMOTE_FETCH_TIMEOUT_MS);
+  try {
+    let current = parsed;
+    for (let redirects = 0; ; redirects++) {
+      if (isPrivateAddress(current.hostname)) {
+        return notAllowed;
+      }
+      
+      const response = await requestPublicUrl(current, signal);
+      const location = response.headers.location;
+      if (response.statusCode >= 300 && response.statusCode < 400 && location) {
+        response.resume();
+        current = new URL(location, current);
+        if ((current.protocol !== 'http:' && current.protocol !== 'https:') || redirects >= REMOTE_FETCH_MAX_REDIRECTS) {
+          return failed;
+        }
+        continue;
+      }
+      
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        response.resume();
+        return failed;
+      }
+      if (Number(response.headers['content-length']) > UPLOAD_MAX_BYTES) {
+        response.destroy();
+        return tooLarge;
+      }
+      
+      // 沒有 content-length 時邊讀邊檢查大小
+      const buffer = await readBodyLimited(response, UPLOAD_MAX_BYTES);
+      if (!buffer) {
+        return tooLarge;
+      }
+      const originalName = decodeURIComponent(parsed.pathname.split('/').pop() || '') || 'remote-image';
+      return { buffer, originalName };
+    }
+  } catch (e) {
+    if (e.code === 'URL_NOT_ALLOWED') {
+      return notAllowed;
+    }
+    console.log(`⚠️ 無法下載 ${url}: ${e.message}`);
+    return failed;
+  }
+}
+
+/**
+ * 解碼 base64 data URI
+ * @returns {{ buffer: Buffer }|{ status: number, code: string, error: string }}
+ */
+function decodeDataUri(dataUri) {
+  const match = typeof dataUri === 'string' && dataUri.match(/^data:[^,;]*(?:;[^,;]+)*;base64,/);
+  if (!match) {
+    return { status: 400, code: 'INVALID_DATA_URI', error: 'dataUri 必須是 base64 的 data: URI' };
+  }
+  
+  const data = dataUri.slice(match[0].length);
+  if (data.length * 3 / 4 > UPLOAD_MAX_BYTES + 3) {
+    return { status: 413, code: 'FILE_TOO_LARGE', error: `圖片超過 ${UPLOAD_MAX_BYTES / 1024 / 1024}MB` };
+  }
+  return { buffer: Buffer.from(data, 'base64') };
+}
+
+/**
+ * 對外的上傳資訊（不包含伺服器路徑）
+ */
+function describeUpload(record) {
+  const { id, fileName, original, dedupKey, ...info } = record;
+  const describeOriginal = ({ fileName: originalFileName, ...originalInfo }) => (
+    { filename: originalFileName, ...originalInfo, url: `/uploads/${originalFileName}` }
+  );
+  return {
+    uploadId: id,
+    filename: fileName,
+    ...info,
+    url: `/uploads/${fileName}`,
+    original: original ? describeOriginal(original) : null
+  };
+}
+
+/**
+ * 路徑是否在 UPLOAD_DIR 之內
+ */
+function isInsideUploadDir(path, uploadDir = UPLOAD_DIR) {
+  const rel = relative(uploadDir, path);
+  return Boolean(rel) && !rel.startsWith('..') && !isAbsolute(rel);
+}
+
+/**
+ * 將生成請求的圖片來源解析為 UPLOAD_DIR 內的檔案
+ * @param {string} uploadId - /upload 回傳的 ID
+ * @param {string} imagePath - 路徑（需開啟 allowUploadPaths，相對路徑以 UPLOAD_DIR 為準）
+ * @param {object} [apiKey] - 發出請求的 key，只能使用自己的上傳
+ * @returns {{ path: string, uploadId: string|null }|{ status: number, code: string, error: string }}
+ */
+function resolveUploadInput(uploadId, imagePath, apiKey = null) {
+  const forbidden = { status: 403, code: 'UPLOAD_FORBIDDEN', error: '只能使用自己的上傳' };
+  if (uploadId !== undefined) {
+    const record = typeof uploadId === 'string' ? uploadStore.get(uploadId) : null;
+    if (!record) {
+      return { status: 404, code: 'UPLOAD_NOT_FOUND', error: `找不到上傳: ${uploadId}` };
+    }
+    if (!canAccessOwned(apiKey, record.apiKey)) {
+      return forbidden;
+    }
+    const path = join(UPLOAD_DIR, record.fileName);
+    if (!existsSync(path)) {
+      return { status: 410, code: 'UPLOAD_FILE_MISSING', error: `上傳的檔案已不存在: ${uploadId}` };
+    }
+    touchUpload(record);
+    return { path, uploadId: record.id };
+  }
+  
+  if (imagePath === undefined) {
+    return { status: 400, code: 'UPLOAD_ID_REQUIRED', error: '缺少 uploadId' };
+  }
+  if (!config.allowUploadPaths) {
+    return { status: 400, code: 'PATH_NOT_ALLOWED', error: '只接受 uploadId，伺服器未開啟 allowUploadPaths' };
+  }
+  if (typeof imagePath !== 'string' || !imagePath || imagePath.includes('\0')) {
+    return { status: 400, code: 'INVALID_PATH', error: 'imagePath 格式錯誤' };
+  }
+  
+  const path = resolve(UPLOAD_DIR, imagePath);
+  if (!isInsideUploadDir(path)) {
+    const code = imagePath.split(/[\\/]/).includes('..') ? 'PATH_TRAVERSAL' : 'PATH_OUTSIDE_UPLOAD_DIR';
+    return { status: 403, code, error: `路徑不在上傳目錄內: ${imagePath}` };
+  }
+  if (!existsSync(path)) {
+    return { status: 404, code: 'FILE_NOT_FOUND', error: `找不到檔案: ${imagePath}` };
+  }
+  // 符號連結可能指向上傳目錄之外
+  if (!isInsideUploadDir(realpathSync(path), realpathSync(UPLOAD_DIR))) {
+    return { status: 403, code: 'PATH_OUTSIDE_UPLOAD_DIR', error: `路徑不在上傳目錄內: ${imagePath}` };
+  }
+  
+  const fileName = relative(UPLOAD_DIR, path);
+  const record = [...uploadStore.values()].find(upload => upload.fileName === fileName);
+  if (record && !canAccessOwned(apiKey, record.apiKey)) {
+    return forbidden;
+  }
+  if (record) {
+    touchUpload(record);
+  }
+  return { path, uploadId: record?.id || null };
+}
+
+/**
+ * 記錄上傳最後被使用的時間（TTL 由此起算）
+ */
+function touchUpload(record) {
+  record.lastUsedAt = new Date().toISOString();
+  saveUploads();
+}
+
+/**
+ * 上傳的所有檔案（處理後的版本與原檔）
+ */
+function uploadFiles(record) {
+  const files = [join(UPLOAD_DIR, record.fileName)];
+  if (record.original && record.original.fileName !== record.fileName) {
+    files.push(join(UPLOAD_DIR, record.original.fileName));
+  }
+  return files;
+}
+
+/**
+ * 進行中任務與佇列仍在使用的上傳（upload ID 與檔案路徑）
+ */
+function getReferencedUploads() {
+  const ids = new Set();
+  const paths = new Set();
+  
+  for (const job of currentJobs.values()) {
+    if (isJobFinished(job)) continue;
+    for (const id of [job.uploadId, job.endUploadId]) {
+      if (id) ids.add(id);
+    }
+    for (const path of [job.localPath, job.endFramePath]) {
+      if (path) paths.add(path);
+    }
+  }
+  for (const item of generationQueue) {
+    if (item.status !== 'queued' && item.status !== 'processing') continue;
+    if (item.meta?.uploadId) ids.add(item.meta.uploadId);
+    paths.add(item.imagePath);
+  }
+  
+  return { ids, paths };
+}
+
+function isUploadReferenced(record, referenced = getReferencedUploads()) {
+  return referenced.ids.has(record.id) || uploadFiles(record).some(path => referenced.paths.has(path));
+}
+
+/**
+ * 刪除上傳的檔案與記錄（呼叫端負責 saveUploads）
+ * @returns {number} 釋放的位元組數
+ */
+function removeUpload(record) {
+  let freedBytes = 0;
+  for (const path of uploadFiles(record)) {
+    if (!existsSync(path)) continue;
+    freedBytes += statSync(path).size;
+    rmSync(path, { force: true });
+  }
+  uploadStore.delete(record.id);
+  return freedBytes;
+}
+
+/**
+ * UPLOAD_DIR 目前使用的位元組數
+ */
+function getUploadDirUsage() {
+  return readdirSync(UPLOAD_DIR, { withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .reduce((total, entry) => total + statSync(join(UPLOAD_DIR, entry.name)).size, 0);
+}
+
+/**
+ * 清理上傳：刪除過期（TTL）的上傳與沒有記錄的孤兒檔案，
+ * 超過配額時再從最久沒使用的上傳開始刪除；進行中或佇列中任務使用的檔案一律保留
+ * @param {number} incomingBytes - 即將寫入的大小（上傳前預留配額）
+ * @returns {{ removed: number, freedBytes: number, usageBytes: number }}
+ */
+function cleanupUploads(incomingBytes = 0) {
+  const referenced = getReferencedUploads();
+  const now = Date.now();
+  const ttlMs = config.uploadTtlHours * 60 * 60 * 1000;
+  const quotaBytes = config.uploadQuotaMb * 1024 * 1024;
+  const lastUsed = (record) => Date.parse(record.lastUsedAt || record.createdAt);
+  let removed = 0;
+  let freedBytes = 0;
+  
+  if (ttlMs > 0) {
+    for (const record of [...uploadStore.values()]) {
+      if (now - lastUsed(record) > ttlMs && !isUploadReferenced(record, referenced)) {
+        freedBytes += removeUpload(record);
+        removed++;
+      }
+    }
+    
+    // 沒有記錄的檔案（例如驗證前就中斷的上傳）
+    const known = new Set([...uploadStore.values()].flatMap(uploadFiles));
+    for (const entry of readdirSync(UPLOAD_DIR, { withFileTypes: true })) {
+      const path = join(UPLOAD_DIR, entry.name);
+      if (!entry.isFile() || known.has(path) || referenced.paths.has(path)) continue;
+      
+      const { size, mtimeMs } = statSync(path);
+      if (now - mtimeMs > ttlMs) {
+        rmSync(path, { force: true });
+        freedBytes += size;
+        removed++;
+      }
+    }
+  }
+  
+  let usageBytes = getUploadDirUsage();
+  if (quotaBytes > 0 && usageBytes + incomingBytes > quotaBytes) {
+    const candidates = [...uploadStore.values()]
+      .filter(record => !isUploadReferenced(record, referenced))
+      .sort((a, b) => lastUsed(a) - lastUsed(b));
+    for (const record of candidates) {
+      if (usageBytes + incomingBytes <= quotaBytes) break;
+      const freed = removeUpload(record);
+      usageBytes -= freed;
+      freedBytes += freed;
+      removed++;
+    }
+  }
+  
+  if (removed > 0) {
+    saveUploads();
+    const message = `🧹 已清理 ${removed} 個上傳檔案，釋放 ${(freedBytes / 1024 / 1024).toFixed(1)}MB`;
+    console.log(message);
+    wsLog('info', message);
+  }
+  return { removed, freedBytes, usageBytes };
+}
+
+// ==================== 生成佇列 ====================
+
+let generationQueue = loadQueue(); // { id, imagePath, fileName, options, status: 'queued'|'processing'|'completed'|'failed'|'timed_out'|'cancelled', jobId, progress, error }
+let queueWorkerRunning = false;
+let queueWakeTimer = null;
+
+/**
+ * 從磁碟載入佇列
+ */
+function loadQueue() {
+  if (!existsSync(QUEUE_FILE)) return [];
+  
+  try {
+    const items = JSON.parse(readFileSync(QUEUE_FILE, 'utf-8'));
+    return items.map(item => {
+      if (item.status !== 'processing') return item;
+      // 已提交到 Midjourney 的項目無法恢復追蹤，避免重複生成
+      if (item.jobId) {
+        return { ...item, status: 'failed', error: '伺服器重啟，任務追蹤中斷', finishedAt: new Date().toISOString() };
+      }
+      return { ...item, status: 'queued', progress: 0 };
+    });
+  } catch (e) {
+    console.log('⚠️ 無法讀取佇列檔案:', e.message);
+    return [];
+  }
+}
+
+/**
+ * 保存佇列並通知所有客戶端
+ */
+function notifyQueueChanged() {
+  // 只保留最近的已結束項目
+  const finished = generationQueue.filter(q => q.status !== 'queued' && q.status !== 'processing');
+  if (finished.length > QUEUE_HISTORY_LIMIT) {
+    const dropped = new Set(finished.slice(0, finished.length - QUEUE_HISTORY_LIMIT));
+    generationQueue = generationQueue.filter(q => !dropped.has(q));
+  }
+  
+  try {
+    writeFileSync(QUEUE_FILE, JSON.stringify(generationQueue, null, 2));
+  } catch (e) {
+    console.log('⚠️ 無法保存佇列:', e.message);
+  }
+  
+  // 每個客戶端只收到自己 key 的項目
+  wsClients.forEach(client => {
+    if (client.readyState === 1) {
+      client.send(JSON.stringify({ type: 'queue_update', queue: getQueueSnapshot(client.apiKey) }));
+    }
+  });
+}
+
+/**
+ * 佇列項目是否屬於這個 key（admin 與未驗證時可以管理所有項目）
+ */
+function canManageQueueItem(apiKey, item) {
+  return canAccessOwned(apiKey, item.meta?.apiKey);
+}
+
+/**
+ * API 回應中的佇列項目：不回傳伺服器上的圖片路徑
+ */
+function describeQueueItem(item) {
+  const { imagePath, ...info } = item;
+  return info;
+}
+
+/**
+ * 取得佇列狀態，只包含 apiKey 可以管理的項目
+ */
+function getQueueSnapshot(apiKey = null) {
+  return {
+    running: queueWorkerRunning,
+    waitingForBrowser: !driver.isReady(),
+    items: generationQueue.filter(item => canManageQueueItem(apiKey, item)).map(describeQueueItem),
+  };
+}
+
+/**
+ * 加入生成佇列
+ * @param {string} imagePath - 本地圖片路徑
+ * @param {object} options - 傳給 uploadLocalImageAndAnimate 的選項
+ * @param {object} meta - 寫入任務記錄的額外欄位 { callbackUrl }
+ */
+function enqueueGeneration(imagePath, options = {}, meta = {}) {
+  const absolutePath = resolve(imagePath);
+  const item = {
+    id: `q-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    imagePath: absolutePath,
+    fileName: absolutePath.split('/').pop(),
+    options,
+    meta,
+    status: 'queued',
+    jobId: null,
+    progress: 0,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+  };
+  
+  generationQueue.push(item);
+  return item;
+}
+
+/**
+ * 依照指定的 ID 順序重新排列等待中的項目
+ * 未列出的項目保持原順序排在後面；非 admin 只在自己項目佔的位置之間調整，其他 key 的項目不動
+ */
+function reorderQueue(ids, apiKey = null) {
+  const queued = generationQueue.filter(q => q.status === 'queued');
+  const others = generationQueue.filter(q => q.status !== 'queued');
+  const movable = queued.filter(q => canManageQueueItem(apiKey, q));
+  const ordered = ids
+    .map(id => movable.find(q => q.id === id))
+    .filter(Boolean);
+  const reordered = [...ordered, ...movable.filter(q => !ordered.includes(q))];
+  
+  generationQueue = [...others, ...queued.map(q => movable.includes(q) ? reordered.shift() : q)];
+}
+
+/**
+ * 排程佇列處理
+ */
+function scheduleQueue(delayMs = 0) {
+  if (queueWakeTimer) clearTimeout(queueWakeTimer);
+  queueWakeTimer = setTimeout(() => {
+    queueWakeTimer = null;
+    processQueue();
+  }, delayMs);
+}
+
+/**
+ * 依序處理佇列（同一時間只處理一個項目，共用同一個 page）
+ */
+async function processQueue() {
+  if (queueWorkerRunning) return;
+  
+  queueWorkerRunning = true;
+  try {
+    while (true) {
+      const item = generationQueue.find(q => q.status === 'queued');
+      if (!item) break;
+      
+      if (!driver.isReady()) {
+        // 瀏覽器尚未就緒，稍後再試
+        scheduleQueue(QUEUE_RETRY_MS);
+        break;
+      }
+      
+      await runQueueItem(item);
+      
+      if (generationQueue.some(q => q.status === 'queued')) {
+        wsLog('info', '準備處理下一張...');
+        await new Promise(r => setTimeout(r, QUEUE_ITEM_GAP_MS));
+      }
+    }
+  } finally {
+    queueWorkerRunning = false;
+    notifyQueueChanged();
+  }
+}
+
+/**
+ * 處理單一佇列項目：上傳並等待影片完成
+ */
+async function runQueueItem(item) {
+  item.status = 'processing';
+  item.startedAt = new Date().toISOString();
+  item.progress = 0;
+  notifyQueueChanged();
+  wsLog('info', `佇列處理中: ${item.fileName}`, item.meta?.apiKey);
+  
+  try {
+    const result = await driver.uploadImage(item.imagePath, item.options, item.meta);
+    item.jobId = result.jobId;
+    notifyQueueChanged();
+    
+    // 任務的時限由 watchdog 處理，逾時或取消都會結束等待
+    const outcome = await waitForJobOutcome(result.jobId);
+    if (outcome === 'complete') {
+      item.status = 'completed';
+      item.progress = 100;
+      wsLog('success', `佇列項目完成: ${item.fileName}`, item.meta?.apiKey);
+    } else if (outcome === 'cancelled') {
+      item.status = 'cancelled';
+      wsLog('info', `${item.fileName} 已取消`, item.meta?.apiKey);
+    } else {
+      item.status = outcome;
+      item.error = jobStore.get(resolveJobAlias(result.jobId))?.error || '任務失敗';
+    }
+  } catch (error) {
+    item.status = 'failed';
+    item.error = error.message;
+    item.jobId = item.jobId || error.jobId || null; // 自動化失敗時的失敗任務記錄
+    wsLog('error', `${item.fileName} 失敗: ${error.message}`, item.meta?.apiKey);
+    
+    // 任務尚未建立，直接以佇列 ID 通知失敗
+    if (!item.jobId && item.meta?.callbackUrl) {
+      deliverWebhook(item.meta.callbackUrl, item.id, 'job_failed', { queueId: item.id, error: error.message });
+    }
+  }
+  
+  item.finishedAt = new Date().toISOString();
+  notifyQueueChanged();
+}
+
+// 臨時 ID 升級後同步更新佇列項目
+serverEvents.on('job_id_resolved', ({ tempId, jobId }) => {
+  const item = generationQueue.find(q => q.jobId === tempId);
+  if (item) {
+    item.jobId = jobId;
+    notifyQueueChanged();
+  }
+});
+
+// 同步佇列項目的進度（不寫入磁碟）
+serverEvents.on('progress', (data) => {
+  const item = generationQueue.find(q => q.jobId === data.jobId && q.status === 'processing');
+  if (item) {
+    item.progress = data.progress;
+  }
+});
+
+// ==================== Webhook 回呼 ====================
+
+const webhookChains = new Map(); // 記錄 key -> Promise，確保同一任務的事件依序送達
+const webhookSecret = loadWebhookSecret();
+
+/**
+ * 讀取簽章密鑰：優先使用環境變數，否則產生一組並保存在資料目錄
+ */
+function loadWebhookSecret() {
+  if (process.env.WEBHOOK_SECRET) return process.env.WEBHOOK_SECRET;
+  
+  if (existsSync(WEBHOOK_SECRET_FILE)) {
+    return readFileSync(WEBHOOK_SECRET_FILE, 'utf-8').trim();
+  }
+  
+  const secret = randomBytes(32).toString('hex');
+  writeFileSync(WEBHOOK_SECRET_FILE, secret, { mode: 0o600 });
+  console.log(`🔑 已產生 Webhook 簽章密鑰: ${WEBHOOK_SECRET_FILE}`);
+  return secret;
+}
+
+/**
+ * 驗證回呼網址：必須是 http(s)，且主機不能解析到內部網路位址
+ * @returns {Promise<string|null>} 錯誤訊息，通過時為 null
+ */
+async function checkCallbackUrl(callbackUrl) {
+  let parsed;
+  try {
+    parsed = new URL(callbackUrl);
+  } catch (e) {
+    parsed = null;
+  }
+  if (!parsed || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+    return 'callbackUrl 格式錯誤';
+  }
+  
+  const notAllowed = 'callbackUrl 不能指向內部網路位址';
+  if (isPrivateAddress(parsed.hostname)) {
+    return notAllowed;
+  }
+  try {
+    await new Promise((resolvePromise, reject) => {
+      publicLookup(parsed.hostname.replace(/^\[|\]$/g, ''), {}, (error) => error ? reject(error) : resolvePromise());
+    });
+    return null;
+  } catch (e) {
+    return e.code === 'URL_NOT_ALLOWED' ? notAllowed : 'callbackUrl 的主機無法解析';
+  }
+}
+
+/**
+ * 發送簽章過的 webhook，失敗時以指數退避重試
+ * @param {string} callbackUrl - 回呼網址
+ * @param {string} logKey - 投遞記錄的 key（通常是 job ID）
+ * @param {string} event - job_started | progress | video_complete | image_complete | job_failed | job_timed_out | job_cancelled
+ * @param {object} data - 事件內容
+ */
+function deliverWebhook(callbackUrl, logKey, event, data) {
+  const previous = webhookChains.get(logKey) || Promise.resolve();
+  const delivery = previous.then(() => sendWebhook(callbackUrl, logKey, event, data));
+  webhookChains.set(logKey, delivery);
+  delivery.finally(() => {
+    if (webhookChains.get(logKey) === delivery) webhookChains.delete(logKey);
+  });
+  return delivery;
+}
+
+async function sendWebhook(callbackUrl, logKey, event, data) {
+  const timestamp = Date.now();
+  const body = JSON.stringify({ event, jobId: data.jobId ?? null, timestamp, data });
+  const signature = createHmac('sha256', webhookSecret).update(`${timestamp}.${body}`).digest('hex');
+  
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const entry = { event, attempt, url: callbackUrl, at: new Date().toISOString() };
+    
+    try {
+      // 投遞時再檢查一次：建立任務後 DNS 可能改指向內部位址
+      const url = new URL(callbackUrl);
+      if (isPrivateAddress(url.hostname)) {
+        throw Object.assign(new Error('回呼網址指向內部網路位址'), { code: 'URL_NOT_ALLOWED' });
+      }
+      const response = await requestPublicUrl(url, AbortSignal.timeout(WEBHOOK_TIMEOUT_MS), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'X-Webhook-Event': event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signature}`,
+        },
+        body,
+      });
+      response.resume();
+      
+      const ok = response.statusCode >= 200 && response.statusCode < 300;
+      appendWebhookLog(logKey, { ...entry, status: response.statusCode, ok });
+      if (ok) return true;
+    } catch (e) {
+      appendWebhookLog(logKey, { ...entry, ok: false, error: e.message });
+      if (e.code === 'URL_NOT_ALLOWED') break; // 重試也不會通過
+    }
+    
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+      await new Promise(r => setTimeout(r, WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1)));
+    }
+  }
+  
+  console.log(`⚠️ Webhook 投遞失敗 (${event} -> ${callbackUrl})`);
+  return false;
+}
+
+/**
+ * 追加投遞記錄
+ */
+function appendWebhookLog(logKey, entry) {
+  try {
+    appendFileSync(join(WEBHOOK_LOG_DIR, `${logKey}.jsonl`), JSON.stringify(entry) + '\n');
+  } catch (e) {
+    console.log('⚠️ 無法寫入 webhook 記錄:', e.message);
+  }
+}
+
+/**
+ * 讀取任務的投遞記錄（包含升級前臨時 ID 的記錄）
+ */
+function readWebhookLog(job) {
+  return [job.id, ...(job.aliases || [])]
+    .map(key => join(WEBHOOK_LOG_DIR, `${key}.jsonl`))
+    .filter(file => existsSync(file))
+    .flatMap(file => readFileSync(file, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line)))
+    .sort((a, b) => a.at.localeCompare(b.at));
+}
+
+/**
+ * 將廣播事件轉送到任務的回呼網址
+ */
+function forwardJobEvent(event, data) {
+  const job = jobStore.get(resolveJobAlias(data.jobId));
+  if (!job?.callbackUrl) return;
+  
+  if (event === 'progress') {
+    // 只在跨過里程碑時通知
+    const milestone = WEBHOOK_PROGRESS_MILESTONES.filter(m => data.progress >= m).pop();
+    if (!milestone || milestone <= (job.webhookMilestone || 0) || data.progress >= 100) return;
+    updateJob(job.id, { webhookMilestone: milestone });
+  }
+  
+  deliverWebhook(job.callbackUrl, job.id, event, { ...data, jobId: job.id, status: job.status, videos: job.videos, images: job.images });
+}
+
+for (const event of ['job_started', 'progress', 'video_complete', 'image_complete', 'job_failed', 'job_timed_out', 'job_cancelled']) {
+  serverEvents.on(event, (data) => forwardJobEvent(event, data));
+}
+
+// ==================== 素材存檔 ====================
+
+/**
+ * 列出任務要下載的圖片、影片與縮圖
+ */
+function collectAssetTargets(job) {
+  const targets = [];
+  
+  for (const image of job.images || []) {
+    targets.push({ kind: 'image', index: image.index, url: image.url, file: `0_${image.index}.png` });
+  }
+  
+  for (const video of job.videos || []) {
+    if (video.url?.includes('.mp4')) {
+      targets.push({ kind: 'video', index: video.index, url: video.url, file: `${video.index}.mp4` });
+    }
+    if (!job.id.startsWith('temp-')) {
+      targets.push({
+        kind: 'thumbnail',
+        index: video.index,
+        url: `https://cdn.midjourney.com/video/${job.id}/${video.index}_640_N.webp`,
+        file: `${video.index}_640_N.webp`,
+      });
+    }
+  }
+  
+  return targets;
+}
+
+/**
+ * 透過已登入的瀏覽器 context 下載（CDN 需要 cookies 時也能通過）
+ * 轉址次數有上限，content-length 與實際內容都檢查大小
+ * @param {number} [maxBytes] - 大小上限，超過時丟出錯誤
+ * @returns {Promise<Buffer|null>} 檔案不存在時為 null
+ */
+async function downloadAsset(url, maxBytes = Infinity) {
+  const response = await page.context().request.get(url, { timeout: 60000, maxRedirects: REMOTE_FETCH_MAX_REDIRECTS });
+  
+  if (response.status() === 404 || response.status() === 403) {
+    await response.dispose();
+    return null;
+  }
+  if (!response.ok()) {
+    await response.dispose();
+    throw new Error(`下載失敗 (${response.status()}): ${url}`);
+  }
+  if (Number(response.headers()['content-length']) > maxBytes) {
+    await response.dispose();
+    throw new Error(`檔案超過 ${maxBytes / 1024 / 1024}MB: ${url}`);
+  }
+  
+  const buffer = await response.body();
+  await response.dispose();
+  if (buffer.length > maxBytes) {
+    throw new Error(`檔案超過 ${maxBytes / 1024 / 1024}MB: ${url}`);
+  }
+  return buffer;
+}
+
+/**
+ * 下載任務的所有影片與縮圖到素材目錄，每個檔案附帶 JSON sidecar
+ */
+async function archiveJobAssets(requestedId) {
+  const job = jobStore.get(resolveJobAlias(requestedId));
+  if (!job) {
+    throw new Error('找不到任務');
+  }
+  if (!driver.isConnected()) {
+    throw new Error('瀏覽器未啟動');
+  }
+  
+  const targets = driver.assetTargets(job);
+  const jobDir = join(ASSETS_DIR, job.id);
+  if (!existsSync(jobDir)) {
+    mkdirSync(jobDir, { recursive: true });
+  }
+  
+  const assets = [];
+  for (const target of targets) {
+    const body = await driver.downloadAsset(target.url);
+    if (!body) continue;
+    
+    const filePath = join(jobDir, target.file);
+    const checksum = createHash('sha256').update(body).digest('hex');
+    writeFileSync(filePath, body);
+    writeFileSync(`${filePath}.json`, JSON.stringify({
+      jobId: job.id,
+      index: target.index,
+      kind: target.kind,
+      sourceUrl: target.url,
+      sourceImage: job.localPath || job.imageUrl || job.parentJob || null,
+      options: job.settings || job.options || {},
+      checksum: `sha256:${checksum}`,
+      size: body.length,
+      archivedAt: new Date().toISOString(),
+    }, null, 2));
+    
+    assets.push({
+      index: target.index,
+      kind: target.kind,
+      url: `/assets/${job.id}/${target.file}`,
+      checksum: `sha256:${checksum}`,
+      size: body.length,
+    });
+  }
+  
+  updateJob(job.id, { assets, archivedAt: new Date().toISOString() });
+  if (assets.length > 0) {
+    wsLog('success', `已存檔 ${assets.length} 個素材 (Job: ${job.id.slice(0, 8)}...)`, job.apiKey);
+    broadcast({ type: 'assets_archived', jobId: job.id, assets });
+  }
+  
+  return { assets, expected: targets.length };
+}
+
+/**
+ * 排程存檔，CDN 上的檔案可能比完成訊號晚出現，缺檔時重試
+ */
+function scheduleArchive(jobId, attempt = 1) {
+  setTimeout(async () => {
+    try {
+      const { assets, expected } = await archiveJobAssets(jobId);
+      if (assets.length < expected && attempt < ARCHIVE_MAX_ATTEMPTS) {
+        scheduleArchive(jobId, attempt + 1);
+      }
+    } catch (e) {
+      if (attempt < ARCHIVE_MAX_ATTEMPTS) {
+        scheduleArchive(jobId, attempt + 1);
+      } else {
+        console.log(`⚠️ 素材存檔失敗 (${jobId}):`, e.message);
+        wsLog('warning', `素材存檔失敗: ${e.message}`, jobOwner(jobId));
+      }
+    }
+  }, ARCHIVE_DELAY_MS * attempt);
+}
+
+serverEvents.on('video_complete', ({ jobId }) => scheduleArchive(jobId));
+serverEvents.on('image_complete', ({ jobId }) => scheduleArchive(jobId));
+
+// ==================== 失敗現場記錄 ====================
+
+const consoleBuffer = []; // 最近的頁面 console 訊息與未捕捉的錯誤
+const consolePages = new WeakSet();
+const progressCandidates = new Map(); // jobId -> 進度監控最近一次考慮的候選值
+
+/**
+ * 記錄頁面的 console 訊息與未捕捉的錯誤
+ */
+function attachConsoleCapture(targetPage) {
+  if (!targetPage || consolePages.has(targetPage)) return;
+  consolePages.add(targetPage);
+  
+  const push = (entry) => {
+    consoleBuffer.push({ at: new Date().toISOString(), ...entry });
+    if (consoleBuffer.length > CONSOLE_BUFFER_SIZE) consoleBuffer.shift();
+  };
+  targetPage.on('console', (message) => push({ type: message.type(), text: message.text(), location: message.location()?.url || null }));
+  targetPage.on('pageerror', (error) => push({ type: 'pageerror', text: error.message }));
+}
+
+/**
+ * 保存任務失敗當下的現場：截圖、DOM、頁面 URL、最近的 console 訊息與進度候選值
+ * 沒有頁面時（模擬模式、瀏覽器已斷線）只保存 bundle.json
+ * @param {string} reason - 觸發的事件（job_failed / job_timed_out）
+ */
+async function captureFailureArtifacts(requestedId, reason) {
+  const job = jobStore.get(resolveJobAlias(requestedId));
+  if (!job) return null;
+  
+  const jobDir = join(ARTIFACTS_DIR, job.id);
+  if (!existsSync(jobDir)) {
+    mkdirSync(jobDir, { recursive: true });
+  }
+  
+  const files = [];
+  const captures = [
+    [ARTIFACT_FILES.screenshot, () => page.screenshot()],
+    [ARTIFACT_FILES.dom, () => page.content()],
+  ];
+  for (const [file, capture] of page ? captures : []) {
+    try {
+      writeFileSync(join(jobDir, file), await capture());
+      files.push(file);
+    } catch (e) {
+      console.log(`⚠️ 無法保存 ${file}:`, e.message);
+    }
+  }
+  
+  const capturedAt = new Date().toISOString();
+  const bundle = {
+    jobId: job.id,
+    reason,
+    status: job.status,
+    error: job.error,
+    failure: job.failure || null,
+    capturedAt,
+    driver: driver.name,
+    url: page ? page.url() : null,
+    title: page ? await page.title().catch(() => null) : null,
+    files,
+    console: consoleBuffer.slice(),
+    progressCandidates: progressCandidates.get(job.id) || null,
+    networkResult: job.result || null,
+  };
+  writeFileSync(join(jobDir, ARTIFACT_FILES.bundle), JSON.stringify(bundle, null, 2));
+  progressCandidates.delete(job.id);
+  
+  updateJob(job.id, { artifactsCapturedAt: capturedAt });
+  pruneArtifacts();
+  console.log(`🧾 已保存失敗現場記錄 (${job.id})`);
+  return bundle;
+}
+
+/**
+ * 只保留最近的現場記錄
+ */
+function pruneArtifacts() {
+  const entries = readdirSync(ARTIFACTS_DIR)
+    .map(name => ({ name, mtimeMs: statSync(join(ARTIFACTS_DIR, name)).mtimeMs }))
+    .sort((a, b) => b.mtimeMs - a.mtimeMs);
+  for (const { name } of entries.slice(ARTIFACT_HISTORY_LIMIT)) {
+    rmSync(join(ARTIFACTS_DIR, name), { recursive: true, force: true });
+  }
+}
+
+for (const event of ['job_failed', 'job_timed_out']) {
+  serverEvents.on(event, ({ jobId }) => {
+    captureFailureArtifacts(jobId, event).catch(e => console.log(`⚠️ 無法保存現場記錄 (${jobId}):`, e.message));
+  });
+}
+for (const event of ['video_complete', 'image_complete', 'job_cancelled']) {
+  serverEvents.on(event, ({ jobId }) => progressCandidates.delete(jobId));
+}
+
+// ==================== REST API 端點 ====================
+
+/**
+ * 圖片上傳
+ */
+app.post('/upload', upload.single('image'), async (req, res) => {
+  try {
+    const { url, dataUri } = req.body || {};
+    if (!req.file && !url && !dataUri) {
+      return res.status(400).json({ success: false, error: '沒有上傳檔案（image、url 或 dataUri）' });
+    }
+    
+    const { settings, error } = parseUploadProcessing(req.body);
+    if (error) {
+      if (req.file) rmSync(req.file.path, { force: true });
+      return res.status(400).json({ success: false, error, code: 'INVALID_PROCESSING' });
+    }
+    
+    let result;
+    let label;
+    const owner = req.apiKey ? { apiKey: req.apiKey.name } : {};
+    if (req.file) {
+      label = req.file.originalname;
+      result = await processUpload(req.file, settings, owner);
+    } else if (url) {
+      label = url;
+      const remote = await fetchRemoteImage(url);
+      result = remote.error ? remote : await storeUploadBuffer(remote.buffer, remote.originalName, settings, { sourceUrl: url, ...owner });
+    } else {
+      label = 'data URI';
+      const decoded = decodeDataUri(dataUri);
+      result = decoded.error ? decoded : await storeUploadBuffer(decoded.buffer, 'data-uri', settings, owner);
+    }
+    
+    if (result.error) {
+      wsLog('warning', `上傳被拒絕: ${label} (${result.code})`, req.apiKey?.name);
+      return res.status(result.status).json({ success: false, error: result.error, code: result.code });
+    }
+    
+    wsLog('success', result.deduplicated ? `圖片已存在，沿用 ${result.record.id}` : `圖片已儲存: ${result.record.fileName}`, req.apiKey?.name);
+    res.json({ success: true, ...describeUpload(result.record), deduplicated: Boolean(result.deduplicated) });
+  } catch (error) {
+    wsLog('error', `上傳失敗: ${error.message}`, req.apiKey?.name);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+/**
+ * 列出上傳與空間使用量（admin）
+ */
+app.get('/uploads', (req, res) => {
+  try {
+    const referenced = getReferencedUploads();
+    const uploads = [...uploadStore.values()].map(record => ({
+      ...describeUpload(record),
+      inUse: isUploadReferenced(record, referenced)
+    }));
+    
+    res.json({
+      success: true,
+      total: uploads.length,
+      usageBytes: getUploadDirUsage(),
+      quotaBytes: config.uploadQuotaMb * 1024 * 1024 || null,
+      ttlHours: config.uploadTtlHours || null,
+      uploads
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 刪除上傳（admin），進行中或佇列中的任務仍在使用時拒絕
+ */
+app.delete('/uploads/:uploadId', (req, res) => {
+  try {
+    const record = uploadStore.get(req.params.uploadId);
+    if (!record) {
+      return res.status(404).json({ success: false, error: '找不到上傳', code: 'UPLOAD_NOT_FOUND' });
+    }
+    if (isUploadReferenced(record)) {
+      return res.status(409).json({ success: false, error: '上傳仍被進行中或佇列中的任務使用', code: 'UPLOAD_IN_USE' });
+    }
+    
+    const freedBytes = removeUpload(record);
+    saveUploads();
+    wsLog('info', `🗑️ 已刪除上傳 ${record.id}`);
+    res.json({ success: true, uploadId: record.id, freedBytes });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+
+/**
+ * 健康檢查
+ */
+app.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    status: 'ok',
+    driver: driver.name,
+    browserReady: !!browser,
+    browser: browserState.status,
+    isLoggedIn: driver.isReady(),
+    activeJobs: currentJobs.size,
+  });
+});
+
+/**
+ * 存活檢查 - 只要程序能回應就是存活
+ */
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+/**
+ * 就緒檢查 - 瀏覽器已連線、已登入且不在恢復中才能接受生成請求
+ */
+app.get('/health/ready', (req, res) => {
+  const ready = driver.isReady() && !browserState.recovering;
+  const { closing, ...browserStatus } = browserState;
+  
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    driver: driver.name,
+    browser: browserStatus,
+    isLoggedIn: driver.isReady(),
+    activeJobs: currentJobs.size,
+  });
+});
+
+/**
+ * Debug - 獲取當前頁面資訊
+ */
+app.get('/debug/page', async (req, res) => {
+  try {
+    if (!page) {
+      return res.json({ success: false, error: '沒有頁面' });
+    }
+    
+    const url = page.url();
+    const title = await page.title();
+    
+    // 截圖（Playwright 回傳 Buffer）
+    const screenshot = await page.screenshot();
+    
+    res.json({ 
+      success: true, 
+      url, 
+      title,
+      screenshotBase64: screenshot.toString('base64'),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Debug - 截圖並保存到本地
+ */
+app.post('/debug/screenshot', async (req, res) => {
+  try {
+    if (!page) {
+      return res.json({ success: false, error: '沒有頁面' });
+    }
+    
+    // 每次截圖使用不同檔名，不覆蓋之前的截圖
+    const filePath = join(DEBUG_DIR, `screenshot-${new Date().toISOString().replace(/[:.]/g, '-')}.png`);
+    await page.screenshot({ path: filePath });
+    
+    res.json({ 
+      success: true, 
+      message: `截圖已保存到 ${filePath}`,
+      filePath,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 模擬驅動的佔位圖
+ */
+app.get('/simulated/media/:jobId/:file', (req, res) => {
+  const { jobId, file } = req.params;
+  const job = jobStore.get(jobId);
+  
+  if (job?.driver !== 'simulated' || !/^(\d+(_thumb)?|0_\d+)\.svg$/.test(file)) {
+    return res.status(404).json({ success: false, error: '找不到檔案' });
+  }
+  res.type('image/svg+xml').send(renderPlaceholderSvg(jobId, file));
+});
+
+/**
+ * 選擇器健康檢查 - 回報設定檔中每個定位方式在目前頁面上是否能找到元素
+ * 只有符合 context 的頁面狀態（例如上傳面板開啟時）才能找到對應的元素
+ */
+app.get('/selectors/health', async (req, res) => {
+  try {
+    if (!page) {
+      return res.status(503).json({ success: false, error: '瀏覽器未連線' });
+    }
+    
+    const health = await checkSelectorHealth();
+    res.json({ success: true, ...health });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 啟動瀏覽器
+ */
+app.post('/browser/launch', async (req, res) => {
+  try {
+    const mode = req.body?.mode || config.browserMode; // auto | connect | spawn | standalone
+    if (!['auto', 'connect', 'spawn', 'standalone'].includes(mode)) {
+      return res.status(400).json({ success: false, error: 'mode 必須是 auto / connect / spawn / standalone' });
+    }
+    
+    wsLog('info', `🚀 正在啟動瀏覽器 (${mode})...`);
+    await launchBrowser(mode);
+    res.json({ success: true, message: '瀏覽器已啟動', mode: connectionMode });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 連接到用戶的 Chrome 瀏覽器
+ */
+app.post('/browser/connect', async (req, res) => {
+  try {
+    await connectToUserBrowser();
+    res.json({ success: true, message: '已連接到你的 Chrome 瀏覽器' });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message,
+      hint: `請用以下指令開啟 Chrome:\n${chromeLaunchHint()}`
+    });
+  }
+});
+
+/**
+ * 導航到 Midjourney
+ */
+app.post('/browser/navigate', async (req, res) => {
+  try {
+    const loggedIn = await withPageLock(navigateToMidjourney)();
+    res.json({ 
+      success: true, 
+      isLoggedIn: loggedIn,
+      message: loggedIn ? '已登入' : '請在瀏覽器中手動登入',
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 檢查登入狀態
+ */
+app.get('/auth/status', async (req, res) => {
+  try {
+    const loggedIn = await driver.checkLogin();
+    res.json({ success: true, isLoggedIn: loggedIn });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 生成影片
+ */
+app.post('/video/generate', reserveJobSlot, parseJobTimeout, async (req, res) => {
+  try {
+    const { imageUrl, options, callbackUrl } = req.body;
+    
+    if (!imageUrl) {
+      return res.status(400).json({ success: false, error: '缺少 imageUrl' });
+    }
+    const callbackError = callbackUrl && await checkCallbackUrl(callbackUrl);
+    if (callbackError) {
+      return res.status(400).json({ success: false, error: callbackError });
+    }
+    const optionsError = parseVideoOptions(options).error;
+    if (optionsError) {
+      return res.status(400).json({ success: false, error: optionsError });
+    }
+
+    const result = await driver.generateVideo(imageUrl, options, { callbackUrl, ...jobMeta(req) });
+    res.json(result);
+  } catch (error) {
+    // 自動化步驟失敗時附上代碼、步驟、嘗試次數與失敗任務記錄
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      step: error.step,
+      attempts: error.attempts,
+      jobId: error.jobId
+    });
+  }
+});
+
+/**
+ * 從現有圖片動畫化
+ */
+app.post('/video/animate', reserveJobSlot, parseJobTimeout, async (req, res) => {
+  try {
+    const { jobId, options, callbackUrl } = req.body;
+    
+    const callbackError = callbackUrl && await checkCallbackUrl(callbackUrl);
+    if (callbackError) {
+      return res.status(400).json({ success: false, error: callbackError });
+    }
+    // Animate 按鈕無法套用自訂設定
+    const { settings, error: optionsError } = parseVideoOptions(options);
+    if (optionsError) {
+      return res.status(400).json({ success: false, error: optionsError });
+    }
+    if (hasCustomVideoSettings(settings)) {
+      return res.status(400).json({ success: false, error: '/video/animate 只支援預設設定，自訂設定請改用 /video/generate' });
+    }
+    
+    const result = await driver.animate(jobId, { callbackUrl, ...jobMeta(req) });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 文字生成圖片
+ */
+app.post('/image/imagine', reserveJobSlot, parseJobTimeout, async (req, res) => {
+  try {
+    const { prompt, parameters = {}, callbackUrl, wait = false } = req.body;
+    
+    if (!prompt || typeof prompt !== 'string') {
+      return res.status(400).json({ success: false, error: '缺少 prompt' });
+    }
+    const parameterError = validateImagineParameters(parameters);
+    if (parameterError) {
+      return res.status(400).json({ success: false, error: parameterError });
+    }
+    const callbackError = callbackUrl && await checkCallbackUrl(callbackUrl);
+    if (callbackError) {
+      return res.status(400).json({ success: false, error: callbackError });
+    }
+
+    const result = await driver.imagine(prompt, parameters, { callbackUrl, ...jobMeta(req) });
+    if (!wait) {
+      return res.json(result);
+    }
+    releaseJobSlot(req); // 任務已送出，之後由 currentJobs 計算並行數
+    
+    // 等待四格圖片完成
+    const outcome = await waitForJobOutcome(result.jobId);
+    const job = jobStore.get(resolveJobAlias(result.jobId));
+    res.json({ ...result, jobId: job?.id || result.jobId, outcome, status: job?.status, images: job?.images || [] });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 上傳本地圖片並生成影片
+ */
+app.post('/video/upload', reserveJobSlot, parseJobTimeout, async (req, res) => {
+  try {
+    const { uploadId, imagePath, options, callbackUrl } = req.body;
+    
+    const input = resolveUploadInput(uploadId, imagePath, req.apiKey);
+    if (input.error) {
+      return res.status(input.status).json({ success: false, error: input.error, code: input.code });
+    }
+    const callbackError = callbackUrl && await checkCallbackUrl(callbackUrl);
+    if (callbackError) {
+      return res.status(400).json({ success: false, error: callbackError });
+    }
+    const optionsError = parseVideoOptions(options).error;
+    if (optionsError) {
+      return res.status(400).json({ success: false, error: optionsError });
+    }
+
+    const result = await driver.uploadImage(input.path, options, { callbackUrl, uploadId: input.uploadId, ...jobMeta(req) });
+    res.json(result);
+  } catch (error) {
+    // 自動化步驟失敗時附上代碼、步驟、嘗試次數與失敗任務記錄
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      step: error.step,
+      attempts: error.attempts,
+      jobId: error.jobId
+    });
+  }
+});
+
+/**
+ * 上傳圖片並等待影片完成
+ */
+app.post('/video/upload-and-wait', reserveJobSlot, parseJobTimeout, async (req, res) => {
+  try {
+    const { uploadId, imagePath, options, callbackUrl } = req.body;
+    
+    const input = resolveUploadInput(uploadId, imagePath, req.apiKey);
+    if (input.error) {
+      return res.status(input.status).json({ success: false, error: input.error, code: input.code });
+    }
+    const callbackError = callbackUrl && await checkCallbackUrl(callbackUrl);
+    if (callbackError) {
+      return res.status(400).json({ success: false, error: callbackError });
+    }
+    const optionsError = parseVideoOptions(options).error;
+    if (optionsError) {
+      return res.status(400).json({ success: false, error: optionsError });
+    }
+
+    // 上傳並開始生成
+    const uploadResult = await driver.uploadImage(input.path, options, { callbackUrl, uploadId: input.uploadId, ...jobMeta(req) });
+    
+    if (!uploadResult.success) {
+      return res.json(uploadResult);
     }
-  } catch (e) {
-    // 影片可能還在生成中
-  }
+    releaseJobSlot(req); // 任務已送出，之後由 currentJobs 計算並行數
 
-  return { success: false, message: '影片尚未準備好' };
-}
+    // 等待完成
+    const videoResult = await driver.waitForVideo(uploadResult.jobId);
+    res.json(videoResult);
+  } catch (error) {
+    // 自動化步驟失敗時附上代碼、步驟、嘗試次數與失敗任務記錄
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      step: error.step,
+      attempts: error.attempts,
+      jobId: error.jobId
+    });
+  }
+});
 
 /**
- * 獲取用戶的所有創作
+ * 起始與結束畫面生成影片
+ * 接受 multipart（startFrame / endFrame 檔案）或 JSON（startImagePath / endImagePath）
  */
-async function getUserCreations() {
-  if (!page || !isLoggedIn) {
-    throw new Error('請先登入 Midjourney');
-  }
+const keyframeUpload = upload.fields([
+  { name: 'startFrame', maxCount: 1 },
+  { name: 'endFrame', maxCount: 1 }
+]);
 
-  // 從頁面獲取創作列表
-  const creations = await page.evaluate(() => {
-    const items = [];
-    const links = document.querySelectorAll('a[href*="/jobs/"]');
+app.post('/video/keyframes', reserveJobSlot, keyframeUpload, parseJobTimeout, async (req, res) => {
+  try {
+    const { callbackUrl } = req.body;
+    let { options } = req.body;
     
-    links.forEach(link => {
-      const href = link.getAttribute('href');
-      const img = link.querySelector('img');
-      const match = href.match(/\/jobs\/([a-f0-9-]+)\?index=(\d+)/);
-      
-      if (match && img) {
-        items.push({
-          jobId: match[1],
-          index: parseInt(match[2]),
-          thumbnailUrl: img.src,
-          isVideo: img.src.includes('/video/'),
-        });
+    // 這個請求新建的上傳；任何一項檢查失敗都一併移除，不留下只存了一半的畫面
+    const created = [];
+    const fail = (status, error, code) => {
+      for (const record of created) removeUpload(record);
+      if (created.length > 0) saveUploads();
+      for (const file of Object.values(req.files || {}).flat()) rmSync(file.path, { force: true });
+      return res.status(status).json({ success: false, error, code });
+    };
+    
+    // multipart 表單中的 options 是 JSON 字串
+    if (typeof options === 'string') {
+      try {
+        options = JSON.parse(options);
+      } catch (parseError) {
+        return fail(400, 'options 必須是 JSON 物件');
       }
-    });
+    }
+    const callbackError = callbackUrl && await checkCallbackUrl(callbackUrl);
+    if (callbackError) {
+      return fail(400, callbackError);
+    }
+    const { loop, ...frameOptions } = options || {};
+    const optionsError = parseVideoOptions(frameOptions).error;
+    if (optionsError) {
+      return fail(400, optionsError);
+    }
     
-    return items;
-  });
-
-  return creations;
-}
+    // multipart 檔案先經過前處理並登記為上傳，再與 JSON 的 upload ID 一起解析
+    const frameInput = async (slot) => {
+      const file = req.files?.[`${slot}Frame`]?.[0];
+      if (file) {
+        const result = await processUpload(file, UPLOAD_PROCESSING_DEFAULTS, req.apiKey ? { apiKey: req.apiKey.name } : {});
+        if (result.error) return result;
+        if (!result.deduplicated) created.push(result.record);
+        return resolveUploadInput(result.record.id, undefined, req.apiKey);
+      }
+      const uploadId = req.body[`${slot}UploadId`];
+      const imagePath = req.body[`${slot}ImagePath`];
+      if (uploadId === undefined && imagePath === undefined) {
+        return { status: 400, code: 'UPLOAD_ID_REQUIRED', error: '需要起始與結束畫面（startFrame / endFrame）' };
+      }
+      return resolveUploadInput(uploadId, imagePath, req.apiKey);
+    };
+    const start = await frameInput('start');
+    const end = start.error ? null : await frameInput('end');
+    const invalid = [start, end].find(input => input?.error);
+    if (invalid) {
+      return fail(invalid.status, invalid.error, invalid.code);
+    }
 
-// ==================== REST API 端點 ====================
+    const result = await driver.uploadKeyframes(start.path, end.path, options, {
+      callbackUrl,
+      uploadId: start.uploadId,
+      endUploadId: end.uploadId,
+      ...jobMeta(req)
+    });
+    res.json(result);
+  } catch (error) {
+    // 自動化步驟失敗時附上代碼、步驟、嘗試次數與失敗任務記錄
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      step: error.step,
+      attempts: error.attempts,
+      jobId: error.jobId
+    });
+  }
+});
 
 /**
- * 圖片上傳
+ * 加入生成佇列
  */
-app.post('/upload', upload.single('image'), (req, res) => {
+app.post('/queue', parseJobTimeout, async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ success: false, error: '沒有上傳檔案' });
+    const { uploadId, uploadIds, imagePath, imagePaths, options, callbackUrl } = req.body;
+    const ids = uploadIds || (uploadId !== undefined ? [uploadId] : []);
+    const paths = imagePaths || (imagePath !== undefined ? [imagePath] : []);
+    
+    if (!Array.isArray(ids) || !Array.isArray(paths)) {
+      return res.status(400).json({ success: false, error: 'uploadIds / imagePaths 必須是陣列' });
+    }
+    if (ids.length + paths.length === 0) {
+      return res.status(400).json({ success: false, error: '缺少 uploadId', code: 'UPLOAD_ID_REQUIRED' });
+    }
+    if (ids.length + paths.length > QUEUE_MAX_BATCH) {
+      return res.status(400).json({
+        success: false,
+        error: `一次最多加入 ${QUEUE_MAX_BATCH} 張圖片`,
+        code: 'QUEUE_BATCH_TOO_LARGE'
+      });
+    }
+    // 先完成非同步檢查，數量上限的檢查與加入佇列之間才不會被其他請求插隊
+    const callbackError = callbackUrl && await checkCallbackUrl(callbackUrl);
+    if (callbackError) {
+      return res.status(400).json({ success: false, error: callbackError });
+    }
+    if (req.apiKey) {
+      const pending = generationQueue
+        .filter(q => (q.status === 'queued' || q.status === 'processing') && q.meta?.apiKey === req.apiKey.name)
+        .length;
+      if (pending + ids.length + paths.length > req.apiKey.maxQueuedItems) {
+        return res.status(429).json({
+          success: false,
+          error: `已達佇列項目上限 (${req.apiKey.maxQueuedItems})`,
+          code: 'QUEUE_LIMIT_REACHED',
+          queuedItems: pending
+        });
+      }
+    }
+    const optionsError = parseVideoOptions(options).error;
+    if (optionsError) {
+      return res.status(400).json({ success: false, error: optionsError });
     }
     
-    const filePath = join(UPLOAD_DIR, req.file.filename);
-    wsLog('success', `圖片已儲存: ${req.file.filename}`);
+    const inputs = [
+      ...ids.map(id => resolveUploadInput(id, undefined, req.apiKey)),
+      ...paths.map(p => resolveUploadInput(undefined, p, req.apiKey))
+    ];
+    const invalid = inputs.find(input => input.error);
+    if (invalid) {
+      return res.status(invalid.status).json({ success: false, error: invalid.error, code: invalid.code });
+    }
     
-    res.json({
-      success: true,
-      filePath: filePath,
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      size: req.file.size
-    });
+    const items = inputs.map(input => enqueueGeneration(input.path, options, {
+      callbackUrl,
+      uploadId: input.uploadId,
+      ...jobMeta(req)
+    }));
+    notifyQueueChanged();
+    wsLog('info', `已加入佇列 ${items.length} 張圖片`, req.apiKey?.name);
+    scheduleQueue();
+    
+    res.json({ success: true, items: items.map(describeQueueItem) });
   } catch (error) {
-    wsLog('error', `上傳失敗: ${error.message}`);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * 健康檢查
+ * 獲取生成佇列
  */
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    browserReady: !!browser,
-    isLoggedIn,
-    activeJobs: currentJobs.size,
-  });
+app.get('/queue', (req, res) => {
+  res.json({ success: true, ...getQueueSnapshot(req.apiKey) });
 });
 
 /**
- * Debug - 獲取當前頁面資訊
+ * 重新排列佇列
  */
-app.get('/debug/page', async (req, res) => {
+app.post('/queue/reorder', (req, res) => {
   try {
-    if (!page) {
-      return res.json({ success: false, error: '沒有頁面' });
-    }
-    
-    const url = page.url();
-    const title = await page.title();
+    const { ids } = req.body;
     
-    // 截圖
-    const screenshot = await page.screenshot({ encoding: 'base64' });
+    if (!Array.isArray(ids)) {
+      return res.status(400).json({ success: false, error: '缺少 ids 陣列' });
+    }
+    const foreign = generationQueue.find(q => ids.includes(q.id) && !canManageQueueItem(req.apiKey, q));
+    if (foreign) {
+      return res.status(403).json({ success: false, error: '只能調整自己的佇列項目' });
+    }
     
-    res.json({ 
-      success: true, 
-      url, 
-      title,
-      screenshotBase64: screenshot.substring(0, 100) + '...(truncated)',
-    });
+    reorderQueue(ids, req.apiKey);
+    notifyQueueChanged();
+    res.json({ success: true, ...getQueueSnapshot(req.apiKey) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * Debug - 截圖並保存到本地
+ * 從佇列移除項目
  */
-app.post('/debug/screenshot', async (req, res) => {
+app.delete('/queue/:id', (req, res) => {
   try {
-    if (!page) {
-      return res.json({ success: false, error: '沒有頁面' });
-    }
+    const idx = generationQueue.findIndex(q => q.id === req.params.id);
     
-    const filePath = '/tmp/midjourney-debug.png';
-    await page.screenshot({ path: filePath });
+    if (idx < 0) {
+      return res.status(404).json({ success: false, error: '找不到佇列項目' });
+    }
+    if (!canManageQueueItem(req.apiKey, generationQueue[idx])) {
+      return res.status(403).json({ success: false, error: '只能移除自己的佇列項目' });
+    }
+    if (generationQueue[idx].status === 'processing') {
+      return res.status(409).json({ success: false, error: '項目處理中，無法移除' });
+    }
     
-    res.json({ 
-      success: true, 
-      message: `截圖已保存到 ${filePath}`,
-      filePath,
-    });
+    const [removed] = generationQueue.splice(idx, 1);
+    notifyQueueChanged();
+    res.json({ success: true, item: describeQueueItem(removed) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * 啟動瀏覽器
+ * 獲取任務狀態
  */
-app.post('/browser/launch', async (req, res) => {
+app.get('/job/:jobId/status', requireJobAccess, async (req, res) => {
   try {
-    const mode = req.body?.mode || 'auto'; // 'auto', 'connect', 'standalone'
-    await launchBrowser(mode);
-    res.json({ success: true, message: '瀏覽器已啟動', mode: connectionMode });
+    const status = await getJobStatus(req.params.jobId);
+    res.json({ success: true, ...describeJob(status) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * 連接到用戶的 Chrome 瀏覽器
+ * 取消任務：停止追蹤，Midjourney 介面允許時一併取消
  */
-app.post('/browser/connect', async (req, res) => {
+app.delete('/job/:jobId', async (req, res) => {
   try {
-    await connectToUserBrowser();
-    res.json({ success: true, message: '已連接到你的 Chrome 瀏覽器' });
+    const job = jobStore.get(resolveJobAlias(req.params.jobId));
+    
+    if (!job) {
+      return res.status(404).json({ success: false, error: '找不到任務' });
+    }
+    if (!canAccessOwned(req.apiKey, job.apiKey)) {
+      return res.status(403).json({ success: false, error: '只能取消自己的任務' });
+    }
+    if (isJobFinished(job)) {
+      return res.status(409).json({ success: false, error: `任務已結束 (${job.status})`, status: job.status });
+    }
+    
+    const uiCancelled = await driver.cancel(job.id);
+    // 等待介面操作期間任務可能已經結束
+    if (isJobFinished(job)) {
+      return res.status(409).json({ success: false, error: `任務已結束 (${job.status})`, status: job.status });
+    }
+    
+    cancelJob(job.id, uiCancelled);
+    wsLog('info', `任務已取消 (${job.id.slice(0, 8)})${uiCancelled ? '' : '，Midjourney 上的任務可能仍會完成'}`, job.apiKey);
+    res.json({ success: true, jobId: job.id, status: job.status, uiCancelled });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: error.message,
-      hint: '請用以下指令開啟 Chrome:\n/Applications/Google\\ Chrome.app/Contents/MacOS/Google\\ Chrome --remote-debugging-port=9222'
-    });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * 導航到 Midjourney
+ * 獲取任務的失敗現場記錄
  */
-app.post('/browser/navigate', async (req, res) => {
+app.get('/job/:jobId/artifacts', (req, res) => {
   try {
-    const loggedIn = await navigateToMidjourney();
-    res.json({ 
-      success: true, 
-      isLoggedIn: loggedIn,
-      message: loggedIn ? '已登入' : '請在瀏覽器中手動登入',
-    });
+    const job = jobStore.get(resolveJobAlias(req.params.jobId));
+    const bundlePath = job && join(ARTIFACTS_DIR, job.id, ARTIFACT_FILES.bundle);
+    
+    if (!job) {
+      return res.status(404).json({ success: false, error: '找不到任務' });
+    }
+    if (!existsSync(bundlePath)) {
+      return res.status(404).json({ success: false, error: '這個任務沒有現場記錄' });
+    }
+    
+    const bundle = JSON.parse(readFileSync(bundlePath, 'utf-8'));
+    const urls = Object.fromEntries(bundle.files.map(file => [file, `/artifacts/${job.id}/${file}`]));
+    res.json({ success: true, ...bundle, urls });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * 檢查登入狀態
+ * 現場記錄的截圖與 DOM
  */
-app.get('/auth/status', async (req, res) => {
+app.get('/artifacts/:jobId/:file', (req, res) => {
+  const { jobId, file } = req.params;
+  const filePath = join(ARTIFACTS_DIR, jobId, file);
+  
+  if (!jobStore.has(jobId) || ![ARTIFACT_FILES.screenshot, ARTIFACT_FILES.dom].includes(file) || !existsSync(filePath)) {
+    return res.status(404).json({ success: false, error: '找不到檔案' });
+  }
+  
+  // DOM 以純文字回傳，避免在本站執行 Midjourney 的腳本
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.type(file === ARTIFACT_FILES.dom ? 'text/plain' : 'png').sendFile(filePath);
+});
+
+/**
+ * 下載任務的 Playwright trace（npx playwright show-trace 開啟）
+ */
+app.get('/job/:jobId/trace', (req, res) => {
   try {
-    const loggedIn = await checkLoginStatus();
-    res.json({ success: true, isLoggedIn: loggedIn });
+    const job = jobStore.get(resolveJobAlias(req.params.jobId));
+    
+    if (!job) {
+      return res.status(404).json({ success: false, error: '找不到任務' });
+    }
+    const filePath = job.trace && join(TRACES_DIR, job.trace.file);
+    if (!filePath || !existsSync(filePath)) {
+      return res.status(404).json({ success: false, error: '這個任務沒有 trace（未開啟 tracing 或已被清理）' });
+    }
+    
+    res.download(filePath, `trace-${job.id}.zip`);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * 生成影片
+ * 獲取任務的 webhook 投遞記錄
  */
-app.post('/video/generate', async (req, res) => {
+app.get('/job/:jobId/webhooks', requireJobAccess, (req, res) => {
   try {
-    const { imageUrl, options } = req.body;
+    const job = jobStore.get(resolveJobAlias(req.params.jobId));
     
-    if (!imageUrl) {
-      return res.status(400).json({ success: false, error: '缺少 imageUrl' });
+    if (!job) {
+      return res.status(404).json({ success: false, error: '找不到任務' });
     }
-
-    const result = await generateVideoFromImage(imageUrl, options);
-    res.json(result);
+    
+    res.json({ success: true, jobId: job.id, callbackUrl: job.callbackUrl || null, deliveries: readWebhookLog(job) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * 從現有圖片動畫化
+ * 查詢任務記錄
  */
-app.post('/video/animate', async (req, res) => {
+app.get('/jobs', (req, res) => {
   try {
-    const result = await animateExistingImage(req.body.jobId);
-    res.json(result);
+    const { status, since, until } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+    
+    const result = listJobs({ status, since, until, limit, offset, apiKey: req.apiKey });
+    res.json({ success: true, ...result });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * 上傳本地圖片並生成影片
+ * 檢查任務操作的父任務：必須是已知、已完成、已有 Midjourney ID 且種類正確的任務
+ * @param {string} requestedId - 路由中的 jobId（可以是已升級的臨時 ID）
+ * @param {'image' | 'video'} kind - 操作需要的任務種類
+ * @param {number} index - 要操作的圖片或影片，不能超過父任務實際產生的數量
+ * @returns {{ parent: object } | { status: number, error: string }}
+ */
+function checkParentJob(requestedId, kind, index) {
+  const jobId = resolveJobAlias(requestedId);
+  const parent = jobStore.get(jobId);
+  
+  if (!parent && !JOB_ID_PATTERN.test(jobId)) {
+    return { status: 400, error: 'jobId 格式錯誤' };
+  }
+  if (!parent) {
+    return { status: 404, error: '找不到任務' };
+  }
+  if (!JOB_ID_PATTERN.test(parent.id)) {
+    return { status: 409, error: '任務尚未取得 Midjourney ID' };
+  }
+  if ((parent.kind === 'image' ? 'image' : 'video') !== kind) {
+    return { status: 400, error: kind === 'image' ? '只能對圖片任務執行此操作' : '只能延長影片任務' };
+  }
+  if (parent.status !== 'complete') {
+    return { status: 409, error: kind === 'image' ? '圖片尚未完成，無法執行此操作' : '影片尚未完成，無法延長' };
+  }
+  
+  // upscale 的結果只有 1 張；影片數量依 batchSize
+  const count = kind === 'image' ? parent.imageCount || 4 : parent.settings?.batchSize || VIDEO_DEFAULTS.batchSize;
+  if (!Number.isInteger(index) || index < 0 || index >= count) {
+    return { status: 400, error: count === 1 ? 'index 只能是 0' : `index 必須是 0-${count - 1}` };
+  }
+  return { parent };
+}
+
+/**
+ * 對現有任務執行 upscale / vary / reroll / pan
  */
-app.post('/video/upload', async (req, res) => {
+app.post('/job/:jobId/:action(upscale|vary|reroll|pan)', requireJobAccess, reserveJobSlot, parseJobTimeout, async (req, res) => {
   try {
-    const { imagePath, options } = req.body;
+    const { action } = req.params;
+    const { index = 0, region, prompt, callbackUrl } = req.body;
+    const { parent, status, error } = checkParentJob(req.params.jobId, 'image', index);
+    if (!parent) {
+      return res.status(status).json({ success: false, error });
+    }
+    const mode = req.body.mode || req.body.direction; // pan 可用 direction
+    const { modes, defaultMode } = JOB_ACTIONS[action];
     
-    if (!imagePath) {
-      return res.status(400).json({ success: false, error: '缺少 imagePath' });
+    if (!(mode || defaultMode) || !modes[mode || defaultMode]) {
+      return res.status(400).json({ success: false, error: `mode 必須是 ${Object.keys(modes).join(' / ')}` });
+    }
+    if (mode === 'region') {
+      const valid = region && ['x', 'y', 'width', 'height'].every(key =>
+        typeof region[key] === 'number' && region[key] >= 0 && region[key] <= 1);
+      if (!valid) {
+        return res.status(400).json({ success: false, error: 'region 需要 0-1 的 { x, y, width, height }' });
+      }
+    }
+    const callbackError = callbackUrl && await checkCallbackUrl(callbackUrl);
+    if (callbackError) {
+      return res.status(400).json({ success: false, error: callbackError });
     }
 
-    const result = await uploadLocalImageAndAnimate(imagePath, options);
+    const result = await driver.runAction(parent.id, action, { index, mode, region, prompt }, { callbackUrl, ...jobMeta(req) });
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -1200,38 +5936,45 @@ app.post('/video/upload', async (req, res) => {
 });
 
 /**
- * 上傳圖片並等待影片完成
+ * 延長已完成的影片
  */
-app.post('/video/upload-and-wait', async (req, res) => {
+app.post('/job/:jobId/extend', requireJobAccess, reserveJobSlot, parseJobTimeout, async (req, res) => {
   try {
-    const { imagePath, options } = req.body;
-    
-    if (!imagePath) {
-      return res.status(400).json({ success: false, error: '缺少 imagePath' });
+    const { index = 0, prompt, callbackUrl } = req.body;
+    const mode = req.body.mode || (prompt ? 'manual' : 'auto');
+    const { parent, status, error } = checkParentJob(req.params.jobId, 'video', index);
+    if (!parent) {
+      return res.status(status).json({ success: false, error });
     }
-
-    // 上傳並開始生成
-    const uploadResult = await uploadLocalImageAndAnimate(imagePath, options);
     
-    if (!uploadResult.success) {
-      return res.json(uploadResult);
+    if (!['auto', 'manual'].includes(mode)) {
+      return res.status(400).json({ success: false, error: 'mode 必須是 auto / manual' });
+    }
+    if (prompt !== undefined && (typeof prompt !== 'string' || mode !== 'manual')) {
+      return res.status(400).json({ success: false, error: 'prompt 只能在 manual 模式使用，且必須是字串' });
+    }
+    const callbackError = callbackUrl && await checkCallbackUrl(callbackUrl);
+    if (callbackError) {
+      return res.status(400).json({ success: false, error: callbackError });
     }
 
-    // 等待完成
-    const videoResult = await waitForVideoComplete(uploadResult.jobId);
-    res.json(videoResult);
+    const result = await driver.extend(parent.id, { index, mode, prompt }, { callbackUrl, ...jobMeta(req) });
+    res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * 獲取任務狀態
+ * 查詢影片延長鏈
  */
-app.get('/job/:jobId/status', async (req, res) => {
+app.get('/job/:jobId/lineage', requireJobAccess, (req, res) => {
   try {
-    const status = await getJobStatus(req.params.jobId);
-    res.json({ success: true, ...status });
+    const lineage = getJobLineage(req.params.jobId);
+    if (!lineage) {
+      return res.status(404).json({ success: false, error: '找不到任務' });
+    }
+    res.json({ success: true, jobId: resolveJobAlias(req.params.jobId), ...lineage });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -1240,22 +5983,34 @@ app.get('/job/:jobId/status', async (req, res) => {
 /**
  * 獲取影片 URL
  */
-app.get('/job/:jobId/video', async (req, res) => {
+app.get('/job/:jobId/video', requireJobAccess, async (req, res) => {
   try {
     const index = parseInt(req.query.index) || 0;
-    const result = await getVideoUrl(req.params.jobId, index);
+    const result = await driver.getVideoUrl(resolveJobAlias(req.params.jobId), index);
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/**
+ * 下載任務素材到本地（完成時會自動執行，這裡可手動重試）
+ */
+app.post('/job/:jobId/archive', requireJobAccess, async (req, res) => {
+  try {
+    const { assets, expected } = await archiveJobAssets(req.params.jobId);
+    res.json({ success: true, assets, missing: expected - assets.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * 獲取用戶創作列表
  */
 app.get('/creations', async (req, res) => {
   try {
-    const creations = await getUserCreations();
+    const creations = await driver.getCreations();
     res.json({ success: true, creations });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -1267,89 +6022,23 @@ app.get('/creations', async (req, res) => {
  */
 app.post('/videos/fetch', async (req, res) => {
   try {
-    if (!page) {
+    if (!driver.isConnected()) {
       return res.status(400).json({ success: false, error: '瀏覽器未連線' });
     }
     
     // 可選：指定要抓取的 Job ID
     const targetJobId = req.body?.jobId;
     
-    wsLog('info', '正在從 Midjourney 頁面抓取影片...');
-    
-    const videos = await page.evaluate(() => {
-      const results = [];
-      const debug = [];
-      const jobsMap = new Map(); // 用 Map 按 Job ID 分組
-      
-      // ========== 從 jobs 連結提取 Job ID ==========
-      const jobLinks = document.querySelectorAll('a[href*="/jobs/"]');
-      debug.push(`找到 ${jobLinks.length} 個 jobs 連結`);
-      
-      // 按出現順序記錄 Job ID（頁面上最先出現的是最新的）
-      const jobOrder = [];
-      
-      jobLinks.forEach(link => {
-        const href = link.getAttribute('href');
-        const match = href?.match(/\/jobs\/([a-f0-9-]+)\?index=(\d+)/);
-        if (match) {
-          const jobId = match[1];
-          const index = parseInt(match[2]);
-          
-          // 記錄 Job 出現順序
-          if (!jobOrder.includes(jobId)) {
-            jobOrder.push(jobId);
-          }
-          
-          // 按 Job ID 分組
-          if (!jobsMap.has(jobId)) {
-            jobsMap.set(jobId, []);
-          }
-          
-          const videoUrl = `https://cdn.midjourney.com/video/${jobId}/${index}.mp4`;
-          const thumbUrl = `https://cdn.midjourney.com/video/${jobId}/${index}_640_N.webp?frame=last`;
-          
-          // 避免重複
-          const existing = jobsMap.get(jobId);
-          if (!existing.some(v => v.index === index)) {
-            existing.push({
-              url: videoUrl,
-              thumbnail: thumbUrl,
-              jobId: jobId,
-              index: index,
-              type: 'job-link'
-            });
-          }
-        }
-      });
-      
-      debug.push(`提取到 ${jobsMap.size} 個不同的 Job ID`);
-      debug.push(`Job 順序: ${jobOrder.slice(0, 3).join(', ')}...`);
-      
-      return { jobsMap: Object.fromEntries(jobsMap), jobOrder, debug };
-    });
-    
-    // 輸出調試資訊
-    console.log('🔍 影片抓取調試:');
-    videos.debug.forEach(d => console.log(`   ${d}`));
+    wsLog('info', '正在抓取影片...');
     
-    // 取最新的 Job（頁面上第一個出現的）
-    const latestJobId = targetJobId || videos.jobOrder[0];
+    const { jobId: latestJobId, videos: sortedVideos } = await driver.findVideos(targetJobId);
     
     if (!latestJobId) {
       wsLog('warning', '未找到任何影片');
       return res.json({ success: true, videos: [] });
     }
     
-    console.log(`📹 選擇最新 Job: ${latestJobId}`);
-    
-    // 取該 Job 的所有影片並按 index 排序
-    const jobVideos = videos.jobsMap[latestJobId] || [];
-    const sortedVideos = jobVideos.sort((a, b) => a.index - b.index);
-    
-    console.log('📹 該 Job 的影片:');
-    sortedVideos.forEach((v, i) => console.log(`   [${i + 1}] index=${v.index}: ${v.url}`));
-    
-    wsLog('success', `找到 ${sortedVideos.length} 部影片 (Job: ${latestJobId.slice(0, 8)}...)`);
+    wsLog('success', `找到 ${sortedVideos.length} 部影片 (Job: ${latestJobId.slice(0, 8)}...)`, jobOwner(latestJobId));
     
     // 廣播到前端
     broadcast({
@@ -1371,64 +6060,17 @@ app.post('/videos/fetch', async (req, res) => {
  */
 app.post('/browser/close', async (req, res) => {
   try {
-    if (browser) {
-      await browser.close();
-      browser = null;
-      page = null;
-      isLoggedIn = false;
-    }
+    await closeBrowser();
     res.json({ success: true, message: '瀏覽器已關閉' });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ==================== 健康檢查 ====================
-
-app.get('/health', (req, res) => {
-  res.json({ success: true, status: 'ok' });
-});
-
-// ==================== 啟動 Chrome ====================
-
-app.post('/browser/launch', async (req, res) => {
-  try {
-    // 檢查 Chrome 是否已經開啟
-    const checkPort = await fetch(`http://127.0.0.1:${REMOTE_DEBUGGING_PORT}/json/version`).catch(() => null);
-    
-    if (checkPort) {
-      wsLog('info', 'Chrome 已經在運行中');
-      return res.json({ success: true, message: 'Chrome 已開啟' });
-    }
-    
-    // 啟動 Chrome
-    wsLog('info', '🚀 正在啟動 Chrome...');
-    
-    const chrome = spawn('/Applications/Google Chrome.app/Contents/MacOS/Google Chrome', [
-      `--remote-debugging-port=${REMOTE_DEBUGGING_PORT}`,
-      '--user-data-dir=/tmp/chrome-mj-debug',
-      '--no-first-run',
-      '--no-default-browser-check'
-    ], {
-      detached: true,
-      stdio: 'ignore'
-    });
-    
-    chrome.unref();
-    
-    // 等待 Chrome 啟動
-    await new Promise(r => setTimeout(r, 2000));
-    
-    wsLog('success', '✅ Chrome 已啟動');
-    res.json({ success: true, message: 'Chrome 已啟動' });
-  } catch (error) {
-    wsLog('error', `❌ ${error.message}`);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
 // ==================== 啟動服務器 ====================
 
+loadJobStore();
+
 server.listen(PORT, () => {
   console.log(`
 ╔════════════════════════════════════════════════════════════╗
@@ -1442,13 +6084,33 @@ server.listen(PORT, () => {
 ║                                                            ║
 ╚════════════════════════════════════════════════════════════╝
   `);
+  console.log(`⚙️ 瀏覽器模式: ${config.browserMode}，headless: ${config.headless}，driver: ${driver.name}`);
+  if (config.tracing) {
+    console.log(`🎥 已開啟 Playwright tracing（保留最近 ${config.traceRetention} 個）`);
+  }
+  
+  // 定期清理過期的上傳
+  cleanupUploads();
+  setInterval(() => cleanupUploads(), UPLOAD_CLEANUP_INTERVAL_MS);
+  
+  // 超過時限的任務標記為逾時
+  startJobWatchdog();
+  
+  // 恢復追蹤重啟前未完成的任務
+  if (currentJobs.size > 0) {
+    driver.startProgress();
+  }
+  
+  // 恢復上次未處理完的佇列
+  if (generationQueue.some(q => q.status === 'queued')) {
+    console.log('📋 恢復未完成的生成佇列...');
+    scheduleQueue();
+  }
 });
 
 // 優雅關閉
 process.on('SIGINT', async () => {
   console.log('\n正在關閉服務...');
-  if (browser) {
-    await browser.close();
-  }
+  await closeBrowser();
   process.exit(0);
 });